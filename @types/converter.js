@@ -0,0 +1,41 @@
+/**
+ * @typedef {object} PipelineStep
+ * @property {string} command - The command name.
+ * @property {string[]} [args=[]] - The list of arguments passed to the command.
+ */
+
+/**
+ * @typedef {object} ConverterParameter
+ * @property {string} name - The name of the parameter, used as `{name}` placeholder in arguments.
+ * @property {string} [label] - The label displayed in the dialog—the name by default.
+ * @property {"enum" | "number" | "boolean" | "string"} type - The kind of value.
+ * @property {string[]} [options] - The choices of `enum` parameters.
+ * @property {string | number | boolean} [default] - The default value—the first option, `0`, `false` or the empty string when unspecified.
+ */
+
+/**
+ * @typedef {object} Converter
+ * @property {string} name - The name displayed in menus.
+ * @property {"command" | "builtin"} [type="command"] - Whether the converter runs a command with the shell application, or a built-in converter of the extension.
+ * @property {string} command - The command name—or the name of the built-in converter: `html`, `text` or `markdown`.
+ * @property {string[]} [args=[]] - The list of arguments passed to the command.
+ * @property {ConverterParameter[]} [params=[]] - The parameters asked for in a dialog when running the converter, substituted into the arguments.
+ * @property {PipelineStep[]} [steps=[]] - The commands the output is piped through, in order—e.g., `sed` after `pandoc`.
+ * @property {Object<string, ?string>} [env={}] - The list of environment variables passed to the command.
+ * @property {?string} [dir=null] - Sets the working directory for the child process.
+ * @property {number} [timeout] - The maximum duration of the conversion, in seconds—the command is stopped afterwards. No limit when unspecified.
+ * @property {"auto" | "none" | "html" | "text" | "markdown"} [fallback="auto"] - The built-in converter to use when the shell application is unavailable—by default, the one matching the Pandoc output format, if any.
+ * @property {"document" | "article"} [pageContent="document"] - What whole-page copies capture—the whole document, or its main content.
+ * @property {string} [htmlConverter] - The name of the converter whose output is copied as `text/html` alongside the converted text—the converter itself when it outputs HTML.
+ * @property {boolean} [metadata=false] - Passes the page metadata—title, URL, author, date, language and capture date—as Pandoc `--metadata` arguments.
+ * @property {"clipboard" | "download" | "file"} [destination="clipboard"] - Where the converted text goes—the system clipboard, a download, or a file written by the command itself with the Pandoc `--output` option, in the working directory.
+ * @property {string} [filename="{title}.{extension}"] - The filename template for downloads and files, with `{title}`, `{date}`, `{host}` and `{extension}` placeholders.
+ * @property {string} [extension] - The file extension, defaulting to the one of the Pandoc output format.
+ * @property {"link" | "embed" | "download"} [images="link"] - What to do with images—link to the original images, embed them as data URIs, or download them next to the downloaded file.
+ * @property {number} [maxImageSize=5000000] - The maximum size of embedded or downloaded images, in bytes.
+ * @property {string[]} [skipImages=[]] - The URL patterns of images to leave untouched—`*` matches any characters.
+ * @property {string} [group] - The submenu of the “Copy as…” context menu item the converter appears in.
+ * @property {Array<"page" | "selection" | "link" | "image" | "video" | "audio">} [contexts] - The contexts the converter appears in the context menu for—all of them by default, and none to only use the converter from the toolbar button and keyboard shortcuts.
+ * @property {boolean} [separator=false] - Adds a separator before the converter in the context menu.
+ * @property {boolean} [preview=false] - Reviews and edits the converted text in the “Preview” window before copying it.
+ */
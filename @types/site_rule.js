@@ -0,0 +1,12 @@
+/**
+ * @typedef {object} SiteRule
+ * @property {string} [name] - The name displayed in the “Options” page.
+ * @property {string[]} matches - The URL patterns of the pages the rule applies to—`*` matches any characters.
+ * @property {string[]} [remove=[]] - The CSS selectors of the elements to remove from captured HTML.
+ * @property {string[]} [unwrap=[]] - The CSS selectors of the elements to replace with their content.
+ * @property {string[]} [keepAttributes] - The names of the attributes to keep—other attributes are removed. All attributes are kept when unspecified.
+ * @property {string} [converter] - The name of the converter used by the Pandoc toolbar button on matching pages.
+ * @property {Object<string, ?string>} [env] - The environment variables passed to the commands on matching pages, merged with the ones of the converter.
+ * @property {?string} [dir] - The working directory of the commands on matching pages, instead of the one of the converter.
+ * @property {number} [timeout] - The timeout of the commands on matching pages, in seconds, instead of the one of the converter.
+ */
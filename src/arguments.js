@@ -0,0 +1,121 @@
+// This module provides the functionality to expand the placeholders of converter arguments—
+// e.g., `--metadata=title:{title}`, or a Lua filter per site with `--lua-filter={host}.lua`.
+//
+// Placeholders are expanded when running the converter, from the page being converted,
+// and from the parameters of the converter—asked for in a dialog, or their default values.
+// Unknown placeholders are left untouched, so that arguments can contain braces—e.g., JSON.
+
+import '../@types/converter.js'
+import { parseHTML, getTextContent } from './builtin/html_tree.js'
+
+/**
+ * The names of the placeholders expanded from the page—reserved for parameters.
+ */
+export const PAGE_PLACEHOLDERS = ['title', 'url', 'host', 'date', 'lang', 'selection_length']
+
+/**
+ * @typedef {object} ArgumentValues
+ * @property {string} title - The title of the page.
+ * @property {string} url - The URL of the page.
+ * @property {string} host - The host of the page URL.
+ * @property {string} date - The capture date, as `YYYY-MM-DD`.
+ * @property {string} lang - The language of the page.
+ * @property {string} selection_length - The number of characters of the selected text—`0` when nothing is selected.
+ */
+
+/**
+ * Returns the values of the argument placeholders for the specified page.
+ * Unknown page properties expand to the empty string.
+ *
+ * @param {?PageMetadata} pageMetadata
+ * @param {number} [selectionLength=0]
+ * @returns {ArgumentValues}
+ */
+export function getArgumentValues(pageMetadata, selectionLength = 0) {
+  const url = pageMetadata?.url ?? ''
+  return {
+    title: pageMetadata?.title ?? '',
+    url,
+    host: URL.canParse(url) ? new URL(url).host : '',
+    date: (pageMetadata?.captured ?? new Date().toISOString()).slice(0, 10),
+    lang: pageMetadata?.lang ?? '',
+    selection_length: selectionLength.toString()
+  }
+}
+
+/**
+ * Returns the values of the parameter placeholders of the specified converter—
+ * the specified values, or the default values of the parameters.
+ *
+ * @param {Converter} converter
+ * @param {Object<string, string | number | boolean>} [parameterValues={}]
+ * @returns {Object<string, string>}
+ */
+export function getParameterValues(converter, parameterValues = {}) {
+  return Object.fromEntries(
+    (converter.params ?? []).map((param) => [
+      param.name,
+      String(Object.hasOwn(parameterValues, param.name) ? parameterValues[param.name] : getDefaultValue(param))
+    ])
+  )
+}
+
+/**
+ * Returns the default value of the specified parameter.
+ *
+ * @param {ConverterParameter} param
+ * @returns {string | number | boolean}
+ */
+export function getDefaultValue(param) {
+  if (param.default !== undefined) {
+    return param.default
+  }
+  switch (param.type) {
+    case 'enum':
+      return param.options?.[0] ?? ''
+
+    case 'number':
+      return 0
+
+    case 'boolean':
+      return false
+
+    default:
+      return ''
+  }
+}
+
+/**
+ * Expands the placeholders of the specified arguments—e.g., `{title}`, `{url}`, `{host}`, `{date}`,
+ * `{lang}` and `{selection_length}`, or the names of parameters.
+ *
+ * Placeholders are expanded in a single pass—expanded values are not expanded again,
+ * so that parameter values can contain braces.
+ *
+ * @param {string[]} args
+ * @param {Object<string, string>} values
+ * @returns {string[]}
+ */
+export function expandArgs(args, values) {
+  return args.map((arg) =>
+    arg.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      Object.hasOwn(values, name)
+        ? values[name]
+        : placeholder
+    )
+  )
+}
+
+/**
+ * Returns the number of characters of the text of the specified HTML—
+ * i.e., of the captured selection, with whitespace collapsed.
+ *
+ * @param {string} html
+ * @returns {number}
+ */
+export function getTextLength(html) {
+  return getTextContent(parseHTML(html))
+    .replace(/\s+/g, ' ')
+    .trim()
+    .length
+}
@@ -4,15 +4,21 @@
 // Service workers: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers
 // Messaging: https://developer.chrome.com/docs/extensions/develop/concepts/messaging
 
-/**
- * @typedef {object} Converter
- * @property {string} name
- * @property {string} command
- * @property {string[]} [args=[]]
- */
-
+import '../@types/converter.js'
+import '../@types/site_rule.js'
 import { pandoc } from './pandoc.js'
+import { getMatchingSiteRules } from './site_rules.js'
+import { createConverterMenuItems, updateBlockMenuItem, parseConverterMenuItemId } from './context_menu.js'
+import { reportError, reportInvalidOptions, clearErrorBadge, getRecentErrors } from './errors.js'
+import { pickConverter } from './converter_picker.js'
+import { pickElement } from './element_picker.js'
+import { promptParameters } from './parameter_prompt.js'
+import { getDefaultValue } from './arguments.js'
+import { migrateOptions, validateOptions, getValidOptions } from './options/schema.js'
 import optionsWorker from './options/service_worker.js'
+import previewWorker from './preview/service_worker.js'
+import historyWorker from './history/service_worker.js'
+import batchWorker from './batch/service_worker.js'
 import manualWorker from './manual/service_worker.js'
 
 const { TAB_GROUP_ID_NONE } = chrome.tabGroups
@@ -22,13 +28,21 @@ const { TAB_GROUP_ID_NONE } = chrome.tabGroups
  *
  * https://developer.chrome.com/docs/extensions/reference/api/storage#asynchronous-preload-from-storage
  *
- * @type {{ converters: Converter[] }}
+ * @type {{ converters: Converter[], siteRules: SiteRule[], actionPopup: boolean, contextBlocks: boolean }}
  */
 const storageCache = {
   converters: [
-  ]
+  ],
+  siteRules: [
+  ],
+  actionPopup: false,
+  contextBlocks: false
 }
 
+const ACTION_POPUP_URL = 'src/popup/popup.html'
+
+const CONTEXT_BLOCK_SCRIPT_ID = 'context_block'
+
 /**
  * Adds items to the browser’s context menu.
  *
@@ -43,6 +57,18 @@ function createMenuItems() {
     contexts: ['action']
   })
 
+  chrome.contextMenus.create({
+    id: 'open_history',
+    title: 'History',
+    contexts: ['action']
+  })
+
+  chrome.contextMenus.create({
+    id: 'convert_tabs',
+    title: 'Convert tabs…',
+    contexts: ['action']
+  })
+
   chrome.contextMenus.create({
     id: 'open_support_chat',
     title: 'Support Chat',
@@ -61,13 +87,13 @@ function createMenuItems() {
     contexts: ['action']
   })
 
-  for (const [index, converter] of storageCache.converters.entries()) {
-    chrome.contextMenus.create({
-      id: index.toString(),
-      title: `Copy as ${converter.name}`,
-      contexts: ['page', 'link', 'video', 'audio', 'image', 'selection']
-    })
-  }
+  chrome.contextMenus.create({
+    id: 'pick_element',
+    title: 'Pick an element to copy',
+    contexts: ['page']
+  })
+
+  createConverterMenuItems(storageCache.converters)
 }
 
 /**
@@ -85,7 +111,7 @@ function onInstalled(details) {
       break
 
     case 'update':
-      onUpdate(details.previousVersion)
+      onUpdate()
       break
   }
   createMenuItems()
@@ -108,14 +134,26 @@ async function onInstall() {
 /**
  * Handles the setup when the extension is updated to a new version.
  *
- * @param {string} previousVersion
+ * Valid options are migrated, and missing options are set to their defaults.
+ * Invalid options are left untouched—to be fixed in the “Options” page—and reported in the error log.
+ *
  * @returns {Promise<void>}
  */
-async function onUpdate(previousVersion) {
-  const defaults = await optionsWorker.getDefaults()
+async function onUpdate() {
+  const [defaults, options] = await Promise.all([
+    optionsWorker.getDefaults(),
+    chrome.storage.sync.get(),
+  ])
+  const { validOptions, errors } = getValidOptions(migrateOptions(options))
+  const invalidOptionNames = Object.keys(options).filter((name) => !(name in validOptions))
+  if (errors.length > 0) {
+    await reportInvalidOptions(errors)
+  }
   await chrome.storage.sync.set({
-    ...defaults,
-    ...storageCache
+    ...Object.fromEntries(
+      Object.entries(defaults).filter(([name]) => !invalidOptionNames.includes(name))
+    ),
+    ...validOptions
   })
 }
 
@@ -132,16 +170,87 @@ function onOptionsChange(changes, areaName) {
   switch (areaName) {
     case 'local':
     case 'sync':
-      if (changes.converters.newValue) {
+      // Ignore malformed converters, which would break the context menu.
+      if (
+        changes.converters?.newValue &&
+        validateOptions({ converters: changes.converters.newValue }).length === 0
+      ) {
         storageCache.converters = changes.converters.newValue
         chrome.contextMenus.removeAll().then(
           createMenuItems
         )
       }
+      if (
+        changes.siteRules?.newValue &&
+        validateOptions({ siteRules: changes.siteRules.newValue }).length === 0
+      ) {
+        storageCache.siteRules = changes.siteRules.newValue
+      }
+      if (changes.actionPopup) {
+        storageCache.actionPopup = changes.actionPopup.newValue ?? false
+        updateActionPopup()
+      }
+      if (changes.contextBlocks) {
+        storageCache.contextBlocks = changes.contextBlocks.newValue ?? false
+        updateContextBlockScript()
+      }
       break
   }
 }
 
+/**
+ * Shows the converter picker popup on the toolbar button, or removes it,
+ * depending on the `actionPopup` option.
+ * The `onAction` listener is only called when there is no popup.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/action#method-setPopup
+ *
+ * @returns {Promise<void>}
+ */
+async function updateActionPopup() {
+  await chrome.action.setPopup({
+    popup: storageCache.actionPopup ? ACTION_POPUP_URL : ''
+  })
+}
+
+/**
+ * Registers the content script recording the block around right-clicks in webpages, or unregisters it,
+ * depending on the `contextBlocks` option and the permission to access webpages.
+ * Open tabs get the script when reloaded.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-registerContentScripts
+ *
+ * @returns {Promise<void>}
+ */
+async function updateContextBlockScript() {
+  const [isGranted, registeredScripts] = await Promise.all([
+    chrome.permissions.contains({
+      origins: ['<all_urls>']
+    }),
+    chrome.scripting.getRegisteredContentScripts({
+      ids: [CONTEXT_BLOCK_SCRIPT_ID]
+    }),
+  ])
+  const isEnabled = storageCache.contextBlocks && isGranted
+
+  if (isEnabled && registeredScripts.length === 0) {
+    await chrome.scripting.registerContentScripts([
+      {
+        id: CONTEXT_BLOCK_SCRIPT_ID,
+        js: ['src/capture/context_block.js'],
+        matches: ['<all_urls>'],
+        allFrames: true,
+        runAt: 'document_idle'
+      }
+    ])
+  } else if (!isEnabled && registeredScripts.length > 0) {
+    await chrome.scripting.unregisterContentScripts({
+      ids: [CONTEXT_BLOCK_SCRIPT_ID]
+    })
+    await updateBlockMenuItem(null)
+  }
+}
+
 /**
  * Handles the browser action on click.
  *
@@ -151,9 +260,72 @@ function onOptionsChange(changes, areaName) {
  * @returns {void}
  */
 function onAction(tab) {
-  // Use the user’s preferred converter (the first converter).
-  const converterCommand = storageCache.converters[0]
-  pandoc(converterCommand, { tabId: tab.id, allFrames: true }, { selectionText: true })
+  runConverter(getDefaultConverterIndex(tab), tab, { tabId: tab.id, allFrames: true }, { selectionText: true })
+}
+
+/**
+ * Returns the index of the converter to use in the specified tab—
+ * the converter of the first matching site rule that has one,
+ * or the user’s preferred converter (the first converter).
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @returns {number}
+ */
+function getDefaultConverterIndex(tab) {
+  for (const siteRule of getMatchingSiteRules(storageCache.siteRules, tab.url)) {
+    const converterIndex = storageCache.converters.findIndex((converter) =>
+      converter.name === siteRule.converter
+    )
+    if (converterIndex !== -1) {
+      return converterIndex
+    }
+  }
+  return 0
+}
+
+/**
+ * Handles keyboard shortcuts.
+ *
+ * - “pick_converter” picks the converter in the page.
+ * - “pick_element” picks the element to copy in the page.
+ * - “convert_tabs” opens the “Convert tabs” window.
+ * - “copy_with_converter_<n>” copies with the n-th converter.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/commands#event-onCommand
+ *
+ * @param {string} command
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
+ */
+async function onCommand(command, tab) {
+  switch (command) {
+    case 'pick_converter':
+      copyWithPickedConverter(tab)
+      break
+
+    case 'pick_element':
+      copyPickedElement(tab, 0)
+      break
+
+    case 'convert_tabs':
+      batchWorker.openBatchWindow(tab)
+      break
+
+    default: {
+      const commandMatch = command.match(/^copy_with_converter_(\d+)$/)
+      if (commandMatch === null) {
+        console.error(
+          'Unknown command: "%s"',
+          command
+        )
+        break
+      }
+      const converterIndex = parseInt(commandMatch[1], 10) - 1
+      if (converterIndex < storageCache.converters.length) {
+        runConverter(converterIndex, tab, { tabId: tab.id, allFrames: true }, { selectionText: true })
+      }
+    }
+  }
 }
 
 /**
@@ -175,6 +347,18 @@ async function onMenuItemClicked(info, tab) {
       })
       break
 
+    case 'open_history':
+      openNewTab({
+        active: true,
+        url: 'src/history/history.html',
+        openerTabId: tab.id,
+      })
+      break
+
+    case 'convert_tabs':
+      batchWorker.openBatchWindow(tab)
+      break
+
     case 'open_support_chat':
       openNewTab({
         active: true,
@@ -191,6 +375,10 @@ async function onMenuItemClicked(info, tab) {
       })
       break
 
+    case 'pick_element':
+      copyPickedElement(tab, info.frameId)
+      break
+
     case 'copy_debug_info': {
       const debugInfo = await getDebugInfo()
 
@@ -208,13 +396,149 @@ async function onMenuItemClicked(info, tab) {
       break
     }
 
-    default:
-      const converterIndex = parseInt(info.menuItemId, 10)
-      const converterCommand = storageCache.converters[converterIndex]
-      pandoc(converterCommand, { tabId: tab.id, frameIds: [info.frameId] }, info)
+    default: {
+      const converterMenuItem = parseConverterMenuItemId(info.menuItemId)
+      if (converterMenuItem === null) {
+        console.error(
+          'Unknown menu item: "%s"',
+          info.menuItemId
+        )
+        break
+      }
+      const { converterIndex, isBlock } = converterMenuItem
+      runConverter(converterIndex, tab, { tabId: tab.id, frameIds: [info.frameId] }, isBlock ? { contextBlock: true } : info)
+    }
+  }
+}
+
+/**
+ * Shows the converter picker in the specified tab,
+ * and copies with the picked converter. Reports failures—e.g., in pages that cannot be scripted.
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
+ */
+async function copyWithPickedConverter(tab) {
+  let converterIndex
+  try {
+    [{ result: converterIndex }] = await chrome.scripting.executeScript({
+      target: {
+        tabId: tab.id
+      },
+      func: pickConverter,
+      args: [
+        storageCache.converters.map((converter) => converter.name)
+      ]
+    })
+  } catch (error) {
+    await reportError(error, {
+      converterName: 'picked converter',
+      tab
+    })
+    return
+  }
+
+  if (converterIndex !== null) {
+    runConverter(converterIndex, tab, { tabId: tab.id, allFrames: true }, { selectionText: true })
   }
 }
 
+/**
+ * Shows the element picker in the specified frame,
+ * and copies the picked element with the default converter of the tab.
+ * Reports failures—e.g., in pages that cannot be scripted.
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @param {number} frameId
+ * @returns {Promise<void>}
+ */
+async function copyPickedElement(tab, frameId) {
+  const converterIndex = getDefaultConverterIndex(tab)
+  let isPicked
+  try {
+    [{ result: isPicked }] = await chrome.scripting.executeScript({
+      target: {
+        tabId: tab.id,
+        frameIds: [frameId]
+      },
+      func: pickElement
+    })
+  } catch (error) {
+    await reportError(error, {
+      converterName: storageCache.converters[converterIndex]?.name ?? 'unknown converter',
+      tab
+    })
+    return
+  }
+
+  if (isPicked) {
+    runConverter(converterIndex, tab, { tabId: tab.id, frameIds: [frameId] }, { pickedElement: true })
+  }
+}
+
+/**
+ * Runs the specified converter and reports failures.
+ * Converters with the `preview` option open the “Preview” window
+ * instead of writing to the clipboard.
+ *
+ * Converters with parameters ask for their values first—dismissing the dialog cancels the copy.
+ *
+ * @param {number} converterIndex
+ * @param {chrome.tabs.Tab} tab
+ * @param {chrome.scripting.InjectionTarget} injectionTarget
+ * @param {chrome.contextMenus.OnClickData} clickedData
+ * @returns {Promise<void>}
+ */
+async function runConverter(converterIndex, tab, injectionTarget, clickedData) {
+  const converter = storageCache.converters[converterIndex]
+  try {
+    const parameterValues = await askParameters(converter, tab)
+    if (parameterValues === null) {
+      return
+    }
+    if (converter.preview) {
+      await previewWorker.openPreview(converterIndex, tab, injectionTarget, clickedData, parameterValues)
+    } else {
+      const htmlConverter = storageCache.converters.find((otherConverter) =>
+        otherConverter.name === converter.htmlConverter
+      ) ?? null
+      await pandoc(converter, injectionTarget, clickedData, htmlConverter, parameterValues)
+    }
+    await clearErrorBadge(tab.id)
+  } catch (error) {
+    await reportError(error, {
+      converterName: converter?.name ?? 'unknown converter',
+      tab
+    })
+  }
+}
+
+/**
+ * Asks for the parameters of the specified converter in the given tab, with a small dialog.
+ * Returns the entered values by parameter name—empty when the converter has no parameters—
+ * or `null` when the dialog is dismissed.
+ *
+ * @param {Converter} converter
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<?Object<string, string | number | boolean>>}
+ */
+async function askParameters(converter, tab) {
+  if ((converter.params ?? []).length === 0) {
+    return {}
+  }
+  const [{ result: parameterValues }] = await chrome.scripting.executeScript({
+    target: {
+      tabId: tab.id
+    },
+    func: promptParameters,
+    args: [
+      converter.name,
+      converter.params.map((param) => ({ ...param, value: getDefaultValue(param) }))
+    ]
+  })
+  return parameterValues
+}
+
 /**
  * Opens a new tab to the right.
  *
@@ -261,6 +585,7 @@ async function openNewTab({
  * @property {object} localStorage
  * @property {object} sessionStorage
  * @property {string} language
+ * @property {ErrorLogEntry[]} recentErrors
  *
  * @returns {Promise<DebugInfo>}
  */
@@ -272,11 +597,13 @@ async function getDebugInfo() {
     syncStorage,
     localStorage,
     sessionStorage,
+    recentErrors,
   ] = await Promise.all([
     chrome.runtime.getPlatformInfo(),
     chrome.storage.sync.get(),
     chrome.storage.local.get(),
     chrome.storage.session.get(),
+    getRecentErrors(),
   ])
 
   return {
@@ -287,6 +614,56 @@ async function getDebugInfo() {
     localStorage,
     sessionStorage,
     language: navigator.language,
+    recentErrors,
+  }
+}
+
+/**
+ * Handles messages from the converter picker popup of the toolbar button.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @param {chrome.runtime.Port} port
+ * @returns {Promise<void>}
+ */
+async function onPopupMessage(message, port) {
+  switch (message.type) {
+    case 'runConverter': {
+      const tab = await chrome.tabs.get(message.tabId)
+      runConverter(message.converterIndex, tab, { tabId: tab.id, allFrames: true }, { selectionText: true })
+      break
+    }
+
+    default:
+      port.postMessage({
+        type: 'error',
+        message: 'Unknown request'
+      })
+  }
+}
+
+/**
+ * Handles one-time messages from the content script recording the block around right-clicks—
+ * to show the matching “Copy this table as…” context menu item.
+ *
+ * https://developer.chrome.com/docs/extensions/develop/concepts/messaging#simple
+ *
+ * @param {object} message
+ * @param {chrome.runtime.MessageSender} sender
+ * @returns {void}
+ */
+function onMessage(message, sender) {
+  switch (message.type) {
+    case 'contextBlock':
+      updateBlockMenuItem(message.blockKind)
+      break
+
+    default:
+      console.error(
+        'Unknown message type: "%s"',
+        message.type
+      )
   }
 }
 
@@ -309,6 +686,22 @@ function onConnect(port) {
       manualWorker.onConnect(port)
       break
 
+    case 'preview':
+      previewWorker.onConnect(port)
+      break
+
+    case 'popup':
+      port.onMessage.addListener(onPopupMessage)
+      break
+
+    case 'history':
+      historyWorker.onConnect(port)
+      break
+
+    case 'batch':
+      batchWorker.onConnect(port)
+      break
+
     default:
       port.postMessage({
         type: 'error',
@@ -318,8 +711,18 @@ function onConnect(port) {
 }
 
 // Configure Pandoc.
-chrome.storage.sync.get((options) => {
-  Object.assign(storageCache, options)
+// Invalid options fall back to their defaults.
+Promise.all([
+  optionsWorker.getDefaults(),
+  chrome.storage.sync.get(),
+]).then(([defaults, options]) => {
+  const { validOptions, errors } = getValidOptions(migrateOptions(options))
+  Object.assign(storageCache, defaults, validOptions)
+  if (errors.length > 0) {
+    reportInvalidOptions(errors)
+  }
+  updateActionPopup()
+  updateContextBlockScript()
 })
 
 // Set up listeners.
@@ -327,5 +730,13 @@ chrome.storage.sync.get((options) => {
 chrome.runtime.onInstalled.addListener(onInstalled)
 chrome.storage.onChanged.addListener(onOptionsChange)
 chrome.action.onClicked.addListener(onAction)
+chrome.commands.onCommand.addListener(onCommand)
 chrome.contextMenus.onClicked.addListener(onMenuItemClicked)
 chrome.runtime.onConnect.addListener(onConnect)
+chrome.runtime.onMessage.addListener(onMessage)
+chrome.tabs.onActivated.addListener(() => {
+  // The block around the last right-click belongs to the previous tab.
+  updateBlockMenuItem(null)
+})
+chrome.permissions.onAdded.addListener(updateContextBlockScript)
+chrome.permissions.onRemoved.addListener(updateContextBlockScript)
@@ -0,0 +1,334 @@
+// This module contains the “Convert tabs” window actions to convert
+// every tab in a window, the highlighted tabs, or a tab group at once.
+//
+// Tabs other than the active tab are only accessible with host permissions,
+// which are requested when converting.
+//
+// Optional permissions: https://developer.chrome.com/docs/extensions/reference/api/permissions
+
+const { TAB_GROUP_ID_NONE } = chrome.tabGroups
+
+const port = chrome.runtime.connect({
+  name: 'batch'
+})
+
+const searchParams = new URLSearchParams(location.search)
+const windowId = parseInt(searchParams.get('windowId'), 10)
+const openerTabId = parseInt(searchParams.get('tabId'), 10)
+
+const buttonElements = document.querySelectorAll('button')
+const formElement = document.getElementById('batch_form')
+const scopeSelectElement = document.getElementById('scope_select')
+const converterSelectElement = document.getElementById('converter_select')
+const progressElement = document.getElementById('progress')
+const statusElement = document.getElementById('status')
+const tabListElement = document.getElementById('tab_list')
+
+/**
+ * @typedef {object} TabScope
+ * @property {string} id - The identifier of the scope—`window`, `highlighted` or `group:<id>`.
+ * @property {string} label - The label of the scope, in the “Tabs” menu.
+ * @property {string} title - The title of the combined document.
+ * @property {chrome.tabs.Tab[]} tabs - The tabs to convert.
+ */
+
+/**
+ * @type {TabScope[]}
+ */
+let scopes = []
+
+/**
+ * @type {Converter[]}
+ */
+let converters = []
+
+/**
+ * The tabs being converted.
+ *
+ * @type {chrome.tabs.Tab[]}
+ */
+let pendingTabs = []
+
+for (const buttonElement of buttonElements) {
+  const actionName = buttonElement.dataset.action
+
+  switch (actionName) {
+    case 'convertTabs':
+      buttonElement.addEventListener('click', convertTabs)
+      break
+
+    default:
+      console.error(
+        'Unknown action: "%s"',
+        actionName
+      )
+  }
+}
+
+scopeSelectElement.addEventListener('change', renderTabs)
+
+port.onMessage.addListener(onMessage)
+
+Promise.all([
+  chrome.storage.sync.get('converters'),
+  chrome.tabs.query({ windowId }),
+  chrome.tabGroups.query({ windowId }),
+]).then(([options, tabs, tabGroups]) => {
+  converters = options.converters ?? []
+  scopes = getTabScopes(tabs, tabGroups)
+  converterSelectElement.replaceChildren(
+    ...converters.map((converter, index) => {
+      const optionElement = document.createElement('option')
+      optionElement.value = index.toString()
+      optionElement.textContent = converter.name
+      return optionElement
+    })
+  )
+  scopeSelectElement.replaceChildren(
+    ...scopes.map((scope, index) => {
+      const optionElement = document.createElement('option')
+      optionElement.value = index.toString()
+      optionElement.textContent = scope.label
+      return optionElement
+    })
+  )
+  scopeSelectElement.value = getDefaultScopeIndex(tabs).toString()
+  renderTabs()
+})
+
+/**
+ * Returns the scopes to choose from—i.e., every tab in the window,
+ * the highlighted tabs when several tabs are highlighted, and each tab group.
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @param {chrome.tabGroups.TabGroup[]} tabGroups
+ * @returns {TabScope[]}
+ */
+function getTabScopes(tabs, tabGroups) {
+  const scopes = [
+    {
+      id: 'window',
+      label: `All tabs in the window (${tabs.length})`,
+      title: 'Tabs',
+      tabs
+    }
+  ]
+  const highlightedTabs = tabs.filter((tab) => tab.highlighted)
+  if (highlightedTabs.length > 1) {
+    scopes.push({
+      id: 'highlighted',
+      label: `Highlighted tabs (${highlightedTabs.length})`,
+      title: 'Tabs',
+      tabs: highlightedTabs
+    })
+  }
+  for (const tabGroup of tabGroups) {
+    const groupTabs = tabs.filter((tab) => tab.groupId === tabGroup.id)
+    scopes.push({
+      id: `group:${tabGroup.id}`,
+      label: `Group “${tabGroup.title || tabGroup.color}” (${groupTabs.length})`,
+      title: tabGroup.title || 'Tabs',
+      tabs: groupTabs
+    })
+  }
+  return scopes
+}
+
+/**
+ * Returns the index of the scope to choose by default—the highlighted tabs,
+ * or the group of the tab the window was opened from, or every tab in the window.
+ *
+ * @param {chrome.tabs.Tab[]} tabs
+ * @returns {number}
+ */
+function getDefaultScopeIndex(tabs) {
+  const openerTab = tabs.find((tab) => tab.id === openerTabId)
+  const scopeIds = [
+    'highlighted',
+    openerTab && openerTab.groupId !== TAB_GROUP_ID_NONE ? `group:${openerTab.groupId}` : 'window',
+  ]
+  for (const scopeId of scopeIds) {
+    const scopeIndex = scopes.findIndex((scope) => scope.id === scopeId)
+    if (scopeIndex !== -1) {
+      return scopeIndex
+    }
+  }
+  return 0
+}
+
+/**
+ * Renders the tabs of the selected scope.
+ *
+ * @returns {void}
+ */
+function renderTabs() {
+  const scope = scopes[parseInt(scopeSelectElement.value, 10)]
+  tabListElement.replaceChildren(
+    ...scope.tabs.map((tab) => {
+      const listItemElement = document.createElement('li')
+      listItemElement.dataset.tabId = tab.id.toString()
+      listItemElement.textContent = tab.title || tab.url
+      return listItemElement
+    })
+  )
+  setStatus('')
+}
+
+/**
+ * Handles message by using a discriminator field. Each message has a `type` field,
+ * and the rest of the fields, and their meaning, depend on its value.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @returns {void}
+ */
+function onMessage(message) {
+  switch (message.type) {
+    case 'keepAlive':
+      break
+
+    case 'tabResult':
+      onTabResult(message.tabId, message.error)
+      break
+
+    case 'batchResult':
+      onBatchResult(message.output, message.error)
+      break
+
+    case 'error':
+      setStatus(message.message, true)
+      break
+
+    default:
+      console.error(
+        'Unknown message: "%s"',
+        message.type
+      )
+  }
+}
+
+/**
+ * Sends a single message to the service worker.
+ *
+ * @param {any} message
+ * @returns {void}
+ */
+function sendMessage(message) {
+  port.postMessage(message)
+}
+
+/**
+ * Converts the tabs of the selected scope with the selected converter.
+ *
+ * The host permissions must be requested first, while handling the click.
+ *
+ * @returns {Promise<void>}
+ */
+async function convertTabs() {
+  const isGranted = await chrome.permissions.request({
+    origins: ['<all_urls>']
+  })
+  if (!isGranted) {
+    setStatus('Converting other tabs requires access to their pages.', true)
+    return
+  }
+
+  const scope = scopes[parseInt(scopeSelectElement.value, 10)]
+  const converterIndex = parseInt(converterSelectElement.value, 10)
+  if (scope === undefined || scope.tabs.length === 0 || Number.isNaN(converterIndex)) {
+    return
+  }
+
+  const outputMode = new FormData(formElement).get('output')
+  renderTabs()
+  pendingTabs = scope.tabs
+  setFormDisabled(true)
+  progressElement.max = pendingTabs.length
+  progressElement.value = 0
+  progressElement.hidden = false
+  setStatus(`Converting ${pendingTabs.length} tabs…`)
+  sendMessage({
+    type: 'convertTabs',
+    tabIds: pendingTabs.map((tab) => tab.id),
+    converterIndex,
+    output: outputMode,
+    title: scope.title
+  })
+}
+
+/**
+ * Marks the specified tab as converted, or as failed with the given error.
+ *
+ * @param {number} tabId
+ * @param {?string} error
+ * @returns {void}
+ */
+function onTabResult(tabId, error) {
+  const listItemElement = tabListElement.querySelector(`[data-tab-id="${tabId}"]`)
+  if (listItemElement) {
+    listItemElement.classList.add(error === null ? 'converted' : 'failed')
+    if (error !== null) {
+      const errorElement = document.createElement('span')
+      errorElement.className = 'error'
+      errorElement.textContent = error
+      listItemElement.append(errorElement)
+    }
+  }
+  progressElement.value++
+  setStatus(`Converted ${progressElement.value} of ${pendingTabs.length} tabs…`)
+}
+
+/**
+ * Copies the combined document, if any, and reports the result of the batch.
+ *
+ * @param {?string} output
+ * @param {?string} error
+ * @returns {Promise<void>}
+ */
+async function onBatchResult(output, error) {
+  setFormDisabled(false)
+  progressElement.hidden = true
+  if (error !== null) {
+    setStatus(error, true)
+    return
+  }
+  if (output !== null) {
+    await navigator.clipboard.writeText(output)
+  }
+  const failedCount = tabListElement.querySelectorAll('.failed').length
+  const convertedCount = pendingTabs.length - failedCount
+  const message = output === null
+    ? `Converted ${convertedCount} tabs.`
+    : `Copied ${convertedCount} tabs.`
+  setStatus(
+    failedCount > 0
+      ? `${message} ${failedCount} failed.`
+      : message,
+    failedCount > 0
+  )
+}
+
+/**
+ * Disables or enables the form fields, while converting.
+ *
+ * @param {boolean} isDisabled
+ * @returns {void}
+ */
+function setFormDisabled(isDisabled) {
+  for (const element of formElement.elements) {
+    element.disabled = isDisabled
+  }
+}
+
+/**
+ * Displays the specified status message.
+ *
+ * @param {string} message
+ * @param {boolean} [isFailure=false]
+ * @returns {void}
+ */
+function setStatus(message, isFailure = false) {
+  statusElement.textContent = message
+  statusElement.classList.toggle('failure', isFailure)
+}
@@ -0,0 +1,313 @@
+// This module contains the service worker for the “Convert tabs” window,
+// to convert several tabs at once—into one document, or into a file for each tab.
+//
+// Service workers: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers
+// Long-lived connections: https://developer.chrome.com/docs/extensions/develop/concepts/messaging#connect
+
+import '../../@types/converter.js'
+import { CommandError, captureClickedElement, captureImages, capturePageMetadata, convert, pandoc } from '../pandoc.js'
+import { getOutputArgs, writeOutput } from '../output.js'
+import { recordConversion } from '../history.js'
+
+const KEEP_ALIVE_INTERVAL = 29000
+
+const BATCH_WINDOW_WIDTH = 560
+const BATCH_WINDOW_HEIGHT = 640
+
+/**
+ * The connections of closed “Convert tabs” windows, to stop converting their tabs.
+ *
+ * @type {WeakSet<chrome.runtime.Port>}
+ */
+const disconnectedPorts = new WeakSet
+
+/**
+ * Opens the “Convert tabs” window for the window of the specified tab.
+ *
+ * The window is a popup, so that the highlighted tabs of the browser window are kept.
+ *
+ * @param {chrome.tabs.Tab} tab
+ * @returns {Promise<void>}
+ */
+async function openBatchWindow(tab) {
+  await chrome.windows.create({
+    type: 'popup',
+    url: `src/batch/batch.html?windowId=${tab.windowId}&tabId=${tab.id}`,
+    width: BATCH_WINDOW_WIDTH,
+    height: BATCH_WINDOW_HEIGHT
+  })
+}
+
+/**
+ * Handles a new connection when opening the “Convert tabs” window.
+ *
+ * @param {chrome.runtime.Port} port
+ * @returns {void}
+ */
+function onConnect(port) {
+  const keepAliveIntervalId = setInterval(() => {
+    port.postMessage({
+      type: 'keepAlive'
+    })
+  }, KEEP_ALIVE_INTERVAL)
+  port.onDisconnect.addListener((port) => {
+    onDisconnect(port, keepAliveIntervalId)
+  })
+  port.onMessage.addListener(onMessage)
+}
+
+/**
+ * Handles disconnection by clearing the keep-alive interval,
+ * and stopping the conversion when closing the “Convert tabs” window.
+ *
+ * @param {chrome.runtime.Port} port
+ * @param {number} keepAliveIntervalId
+ * @returns {void}
+ */
+function onDisconnect(port, keepAliveIntervalId) {
+  clearInterval(keepAliveIntervalId)
+  disconnectedPorts.add(port)
+}
+
+/**
+ * Handles message by using a discriminator field. Each message has a `type` field,
+ * and the rest of the fields, and their meaning, depend on its value.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @param {chrome.runtime.Port} port
+ * @returns {void}
+ */
+function onMessage(message, port) {
+  switch (message.type) {
+    case 'convertTabs':
+      convertTabs(message.tabIds, message.converterIndex, message.output, message.title, port)
+      break
+
+    default:
+      port.postMessage({
+        type: 'error',
+        message: 'Unknown request'
+      })
+  }
+}
+
+/**
+ * Converts the specified tabs, one after the other, with the given converter—
+ * into one document, or into a file for each tab.
+ *
+ * Replies with the result of each tab as it is converted,
+ * then with the result of the batch—i.e., the combined output to copy, if any.
+ *
+ * @param {number[]} tabIds
+ * @param {number} converterIndex
+ * @param {"combine" | "separate"} outputMode
+ * @param {string} title - The title of the combined document.
+ * @param {chrome.runtime.Port} port
+ * @returns {Promise<void>}
+ */
+async function convertTabs(tabIds, converterIndex, outputMode, title, port) {
+  const { converters = [] } = await chrome.storage.sync.get('converters')
+  const converter = converters[converterIndex]
+  if (converter === undefined) {
+    port.postMessage({
+      type: 'batchResult',
+      output: null,
+      error: 'This converter no longer exists.'
+    })
+    return
+  }
+
+  const sections = []
+  for (const tabId of tabIds) {
+    if (disconnectedPorts.has(port)) {
+      return
+    }
+    try {
+      switch (outputMode) {
+        case 'combine':
+          sections.push(await captureTabSection(converter, tabId))
+          break
+
+        case 'separate':
+          await convertTabToFile(converter, tabId)
+          break
+      }
+      port.postMessage({
+        type: 'tabResult',
+        tabId,
+        error: null
+      })
+    } catch (error) {
+      port.postMessage({
+        type: 'tabResult',
+        tabId,
+        error: error.message
+      })
+    }
+  }
+
+  if (outputMode === 'separate') {
+    port.postMessage({
+      type: 'batchResult',
+      output: null,
+      error: null
+    })
+    return
+  }
+
+  if (sections.length === 0) {
+    port.postMessage({
+      type: 'batchResult',
+      output: null,
+      error: 'No tab could be captured.'
+    })
+    return
+  }
+
+  try {
+    const output = await convertSections(converter, sections, title)
+    port.postMessage({
+      type: 'batchResult',
+      output,
+      error: null
+    })
+  } catch (error) {
+    port.postMessage({
+      type: 'batchResult',
+      output: null,
+      error: error.message
+    })
+  }
+}
+
+/**
+ * Converts the page in the specified tab to a file.
+ *
+ * Converters that copy to the clipboard download the file instead,
+ * as there is only one clipboard.
+ *
+ * @param {Converter} converter
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ * @throws {CommandError} Throws an error if the document converter program fails.
+ */
+async function convertTabToFile(converter, tabId) {
+  const tab = await chrome.tabs.get(tabId)
+  await pandoc({
+    ...converter,
+    destination: (converter.destination ?? 'clipboard') === 'clipboard'
+      ? 'download'
+      : converter.destination
+  }, { tabId, frameIds: [0] }, { pageUrl: tab.url })
+}
+
+/**
+ * Captures the page in the specified tab, as a section of the combined document—
+ * i.e., with the title of the page as heading, linking to the page.
+ *
+ * Images are embedded when the converter has the `images: "embed"` option,
+ * and left untouched otherwise.
+ *
+ * @param {Converter} converter
+ * @param {number} tabId
+ * @returns {Promise<string>}
+ */
+async function captureTabSection(converter, tabId) {
+  const tab = await chrome.tabs.get(tabId)
+  const [capturedInput, pageMetadata] = await Promise.all([
+    captureClickedElement(converter, { tabId, frameIds: [0] }, { pageUrl: tab.url }),
+    capturePageMetadata(tabId),
+  ])
+  const { html } = await captureImages({
+    ...converter,
+    images: converter.images === 'embed' ? 'embed' : 'link'
+  }, capturedInput, pageMetadata, tabId)
+  const [{ result: section }] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [0] },
+    func: createSection,
+    args: [html, pageMetadata.title || tab.title, pageMetadata.url]
+  })
+  return section
+}
+
+/**
+ * Returns the HTML serialization of a `<section>` element with the specified content,
+ * and a heading linking to the given URL.
+ * The body of full documents is used as content.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @param {string} html
+ * @param {string} title
+ * @param {string} url
+ * @returns {string}
+ */
+function createSection(html, title, url) {
+  const sectionElement = document.createElement('section')
+  const headingElement = document.createElement('h1')
+  const anchorElement = document.createElement('a')
+  const templateElement = document.createElement('template')
+  anchorElement.href = url
+  anchorElement.textContent = title
+  headingElement.append(anchorElement)
+  templateElement.innerHTML = /^\s*<html[\s>]/i.test(html)
+    ? new DOMParser().parseFromString(html, 'text/html').body.innerHTML
+    : html
+  sectionElement.append(headingElement, templateElement.content)
+  return sectionElement.outerHTML
+}
+
+/**
+ * Converts the specified sections as one document, and delivers it to the destination
+ * of the converter—returning the converted text when it is to be copied.
+ *
+ * @param {Converter} converter
+ * @param {string[]} sections
+ * @param {string} title
+ * @returns {Promise<?string>}
+ * @throws {CommandError} Throws an error if the document converter program fails.
+ */
+async function convertSections(converter, sections, title) {
+  const input = sections.join('\n')
+
+  /**
+   * @type {PageMetadata}
+   */
+  const pageMetadata = {
+    title,
+    url: '',
+    author: null,
+    date: null,
+    lang: null,
+    captured: new Date().toISOString()
+  }
+
+  const commandResult = await convert(converter, input, pageMetadata, getOutputArgs(converter, pageMetadata))
+
+  if (commandResult.status !== 0) {
+    throw new CommandError(converter, commandResult)
+  }
+
+  await recordConversion({
+    converterName: converter.name,
+    input,
+    output: commandResult.output,
+    pageMetadata
+  })
+
+  // The “Convert tabs” window has the focus to write to the clipboard.
+  if ((converter.destination ?? 'clipboard') === 'clipboard') {
+    return commandResult.output
+  }
+
+  await writeOutput(converter, {
+    text: commandResult.output,
+    html: null,
+    images: []
+  }, pageMetadata, null)
+  return null
+}
+
+export default { openBatchWindow, onConnect }
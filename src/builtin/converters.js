@@ -0,0 +1,91 @@
+// This module provides the built-in converters, which run in the extension itself—
+// so that copies keep working on machines without the shell application or Pandoc.
+//
+// Converters with the `type: "builtin"` option name a built-in converter with their `command`.
+// Built-in converters are also used as fallback when the shell application is unavailable.
+
+import { htmlToMarkdown } from './markdown.js'
+import { htmlToText } from './text.js'
+
+/**
+ * @typedef {object} BuiltinConverter
+ * @property {string} format - The equivalent Pandoc output format.
+ * @property {(html: string) => string} convert
+ */
+
+/**
+ * Built-in converters by name.
+ *
+ * @type {Object<string, BuiltinConverter>}
+ */
+export const BUILTIN_CONVERTERS = {
+  html: {
+    format: 'html',
+    convert: (html) => html
+  },
+
+  text: {
+    format: 'plain',
+    convert: htmlToText
+  },
+
+  markdown: {
+    format: 'markdown',
+    convert: htmlToMarkdown
+  },
+}
+
+/**
+ * Runs the specified built-in converter with the given input.
+ * The result mimics the one of the shell application.
+ *
+ * @param {string} name
+ * @param {string} input
+ * @returns {CommandResult}
+ */
+export function runBuiltinConverter(name, input) {
+  const builtinConverter = BUILTIN_CONVERTERS[name]
+  if (builtinConverter === undefined) {
+    return {
+      status: 1,
+      output: '',
+      error: `Unknown built-in converter: ${name}`
+    }
+  }
+  return {
+    status: 0,
+    output: builtinConverter.convert(input),
+    error: ''
+  }
+}
+
+/**
+ * Returns the name of the built-in converter for the specified Pandoc output format, if any—
+ * e.g., `markdown` for `gfm` or `commonmark`.
+ *
+ * @param {?string} format
+ * @returns {?string}
+ */
+export function findBuiltinConverter(format) {
+  switch (format) {
+    case 'markdown':
+    case 'markdown_strict':
+    case 'markdown_phpextra':
+    case 'markdown_github':
+    case 'commonmark':
+    case 'commonmark_x':
+    case 'gfm':
+      return 'markdown'
+
+    case 'html':
+    case 'html4':
+    case 'html5':
+      return 'html'
+
+    case 'plain':
+      return 'text'
+
+    default:
+      return null
+  }
+}
@@ -0,0 +1,283 @@
+// This module provides a minimal HTML parser for the built-in converters,
+// which run in the service worker—where the DOM is not available.
+//
+// The parser is lenient, and tailored to captured HTML—i.e., HTML serialized by the browser,
+// where every element is explicitly closed.
+//
+// HTML syntax: https://html.spec.whatwg.org/multipage/syntax.html
+
+/**
+ * @typedef {object} ElementNode
+ * @property {"element"} type
+ * @property {string} tagName - The lowercase tag name.
+ * @property {Object<string, string>} attributes
+ * @property {HTMLNode[]} children
+ */
+
+/**
+ * @typedef {object} TextNode
+ * @property {"text"} type
+ * @property {string} value
+ */
+
+/**
+ * @typedef {ElementNode | TextNode} HTMLNode
+ */
+
+// Code blocks are delimited with private-use characters while converting,
+// so that their content is kept verbatim when collapsing blank lines.
+const CODE_BLOCK_START = '\uE000'
+const CODE_BLOCK_END = '\uE001'
+
+const VOID_ELEMENTS = [
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr',
+]
+
+// The content of these elements is not parsed as markup.
+const RAW_TEXT_ELEMENTS = [
+  'script', 'style', 'textarea', 'title', 'noscript', 'xmp',
+]
+
+const BLOCK_ELEMENTS = [
+  'address', 'article', 'aside', 'blockquote', 'body', 'dd', 'details', 'div', 'dl', 'dt', 'fieldset',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'html',
+  'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'tr', 'ul',
+]
+
+const NAMED_CHARACTER_REFERENCES = {
+  amp: '&',
+  apos: '\'',
+  copy: '©',
+  gt: '>',
+  hellip: '…',
+  laquo: '«',
+  ldquo: '“',
+  lsquo: '‘',
+  lt: '<',
+  mdash: '—',
+  nbsp: '\u00A0',
+  ndash: '–',
+  quot: '"',
+  raquo: '»',
+  rdquo: '”',
+  reg: '®',
+  rsquo: '’',
+  trade: '™',
+}
+
+// Comments, doctypes, end tags, start tags, text, and stray “<” characters.
+const TOKEN_PATTERN = /<!--[\s\S]*?(?:-->|$)|<[!?][^>]*>|<\/([a-zA-Z][^\s/>]*)[^>]*>|<([a-zA-Z][^\s/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>|[^<]+|</g
+
+const ATTRIBUTE_PATTERN = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g
+
+/**
+ * Parses the specified HTML into a tree of nodes.
+ * The returned root node has the `#document` tag name.
+ *
+ * @param {string} html
+ * @returns {ElementNode}
+ */
+export function parseHTML(html) {
+  const rootNode = createElementNode('#document', {})
+  const openElements = [rootNode]
+  const lowerCaseHTML = html.toLowerCase()
+  const tokenPattern = new RegExp(TOKEN_PATTERN)
+
+  let match
+  while ((match = tokenPattern.exec(html)) !== null) {
+    const [token, endTagName, startTagName, attributeText] = match
+    const parentNode = openElements.at(-1)
+
+    if (startTagName) {
+      const tagName = startTagName.toLowerCase()
+      const elementNode = createElementNode(tagName, parseAttributes(attributeText))
+      parentNode.children.push(elementNode)
+      if (RAW_TEXT_ELEMENTS.includes(tagName)) {
+        const endIndex = lowerCaseHTML.indexOf(`</${tagName}`, tokenPattern.lastIndex)
+        const rawText = html.slice(tokenPattern.lastIndex, endIndex === -1 ? html.length : endIndex)
+        elementNode.children.push(createTextNode(
+          ['textarea', 'title'].includes(tagName) ? decodeCharacterReferences(rawText) : rawText
+        ))
+        tokenPattern.lastIndex = endIndex === -1 ? html.length : endIndex
+      } else if (!VOID_ELEMENTS.includes(tagName) && !attributeText.trimEnd().endsWith('/')) {
+        openElements.push(elementNode)
+      }
+    } else if (endTagName) {
+      const tagName = endTagName.toLowerCase()
+      const index = openElements.findLastIndex((elementNode) => elementNode.tagName === tagName)
+      // Stray end tags are ignored.
+      if (index > 0) {
+        openElements.length = index
+      }
+    } else if (!token.startsWith('<!') && !token.startsWith('<?')) {
+      parentNode.children.push(createTextNode(decodeCharacterReferences(token)))
+    }
+  }
+
+  return rootNode
+}
+
+/**
+ * Returns the text content of the specified node—i.e., the concatenation of its text nodes.
+ *
+ * @param {HTMLNode} node
+ * @returns {string}
+ */
+export function getTextContent(node) {
+  return node.type === 'text'
+    ? node.value
+    : node.children.map(getTextContent).join('')
+}
+
+/**
+ * Determines whether the specified node is an element rendered as a block.
+ *
+ * @param {HTMLNode} node
+ * @returns {boolean}
+ */
+export function isBlockElement(node) {
+  return node.type === 'element' && BLOCK_ELEMENTS.includes(node.tagName)
+}
+
+/**
+ * Appends the specified text to the output, collapsing the line breaks between them—
+ * at most a blank line—and the spaces around line breaks.
+ *
+ * Block elements surround their content with blank lines,
+ * which are collapsed when appending the next element.
+ *
+ * @param {string} output
+ * @param {string} text
+ * @returns {string}
+ */
+export function appendOutput(output, text) {
+  const [trailingNewlines] = output.match(/\n*$/)
+  const [leadingNewlines] = text.match(/^\n*/)
+  const newlineCount = Math.min(2, Math.max(trailingNewlines.length, leadingNewlines.length))
+  const left = output.slice(0, output.length - trailingNewlines.length)
+  const right = text.slice(leadingNewlines.length)
+  if (newlineCount > 0) {
+    return `${left.replace(/ +$/, '')}${'\n'.repeat(newlineCount)}${right.replace(/^ +/, '')}`
+  }
+  return left.endsWith(' ') && right.startsWith(' ')
+    ? left + right.slice(1)
+    : left + right
+}
+
+/**
+ * Formats a list item, indenting the continuation lines of its content to align with the marker.
+ * A nested list directly following the text of the item is kept on the next line, to keep the list tight.
+ *
+ * @param {string} marker - The list marker, followed by a space—e.g., `- ` or `1. `.
+ * @param {string} content
+ * @returns {string}
+ */
+export function formatListItem(marker, content) {
+  const tightContent = content.replace(/^([^\n]+)\n\n(?=(?:[-+*]|\d+\.) )/, '$1\n')
+  return marker + tightContent.replace(/\n(?=.)/g, `\n${' '.repeat(marker.length)}`)
+}
+
+/**
+ * Returns the specified text with leading and trailing blank lines removed,
+ * and at most one blank line between paragraphs—code blocks are kept as is.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+export function normalizeBlankLines(text) {
+  return text
+    .replace(/^\s*\n/, '')
+    .split(/(\uE000[^\uE001]*\uE001)/)
+    .map((part, index) =>
+      index % 2 === 0
+        ? part.replace(/\n{3,}/g, '\n\n')
+        : part
+    )
+    .join('')
+    .trimEnd()
+}
+
+/**
+ * Marks the specified text as a code block, kept as is by `normalizeBlankLines()`
+ * and `appendOutput()`—until released with `releaseCodeBlocks()`.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+export function toCodeBlock(code) {
+  return `${CODE_BLOCK_START}${code}${CODE_BLOCK_END}`
+}
+
+/**
+ * Removes the code block marks of the specified output.
+ *
+ * @param {string} output
+ * @returns {string}
+ */
+export function releaseCodeBlocks(output) {
+  return output.replace(/[\uE000\uE001]/g, '')
+}
+
+/**
+ * Creates an element node.
+ *
+ * @param {string} tagName
+ * @param {Object<string, string>} attributes
+ * @returns {ElementNode}
+ */
+function createElementNode(tagName, attributes) {
+  return {
+    type: 'element',
+    tagName,
+    attributes,
+    children: []
+  }
+}
+
+/**
+ * Creates a text node.
+ *
+ * @param {string} value
+ * @returns {TextNode}
+ */
+function createTextNode(value) {
+  return {
+    type: 'text',
+    value
+  }
+}
+
+/**
+ * Parses the attributes of a start tag.
+ *
+ * @param {string} attributeText
+ * @returns {Object<string, string>}
+ */
+function parseAttributes(attributeText) {
+  const attributes = {}
+  for (const [, name, doubleQuotedValue, singleQuotedValue, unquotedValue] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+    const value = doubleQuotedValue ?? singleQuotedValue ?? unquotedValue ?? ''
+    attributes[name.toLowerCase()] = decodeCharacterReferences(value)
+  }
+  return attributes
+}
+
+/**
+ * Decodes the character references of the specified text—e.g., `&amp;` or `&#8212;`.
+ * Unknown named character references are left untouched.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function decodeCharacterReferences(text) {
+  return text.replace(/&(?:#(\d+)|#[xX]([\da-fA-F]+)|(\w+));/g, (reference, decimal, hexadecimal, name) => {
+    if (name) {
+      return NAMED_CHARACTER_REFERENCES[name] ?? reference
+    }
+    const codePoint = decimal ? parseInt(decimal, 10) : parseInt(hexadecimal, 16)
+    return codePoint > 0 && codePoint <= 0x10FFFF
+      ? String.fromCodePoint(codePoint)
+      : '\uFFFD'
+  })
+}
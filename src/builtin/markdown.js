@@ -0,0 +1,327 @@
+// This module provides the built-in HTML to Markdown converter,
+// in the spirit of Turndown—GitHub Flavored Markdown, with fenced code blocks,
+// ATX headings and pipe tables.
+//
+// - https://github.com/mixmark-io/turndown
+// - https://github.github.com/gfm/
+
+import { parseHTML, getTextContent, isBlockElement, appendOutput, formatListItem, normalizeBlankLines, toCodeBlock, releaseCodeBlocks } from './html_tree.js'
+
+const SKIPPED_ELEMENTS = [
+  'head', 'noscript', 'script', 'style', 'template', 'title',
+]
+
+// Markdown syntax in text, escaped as in Turndown—`^` matches the start of a text node.
+const ESCAPES = [
+  [/\\/g, '\\\\'],
+  [/\*/g, '\\*'],
+  [/^-/g, '\\-'],
+  [/^\+ /g, '\\+ '],
+  [/^(=+)/g, '\\$1'],
+  [/^(#{1,6}) /g, '\\$1 '],
+  [/`/g, '\\`'],
+  [/^~~~/g, '\\~~~'],
+  [/\[/g, '\\['],
+  [/\]/g, '\\]'],
+  [/^>/g, '\\>'],
+  [/_/g, '\\_'],
+  [/</g, '\\<'],
+  [/^(\d+)\. /g, '$1\\. '],
+]
+
+/**
+ * Converts the specified HTML to Markdown.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToMarkdown(html) {
+  const markdown = releaseCodeBlocks(normalizeBlankLines(convertChildren(parseHTML(html))))
+  return markdown ? `${markdown}\n` : ''
+}
+
+/**
+ * Converts the children of the specified element.
+ *
+ * @param {ElementNode} elementNode
+ * @returns {string}
+ */
+function convertChildren(elementNode) {
+  return elementNode.children.reduce(
+    (output, childNode) => appendOutput(output, convertNode(childNode)),
+    ''
+  )
+}
+
+/**
+ * Converts the specified node.
+ *
+ * @param {HTMLNode} node
+ * @returns {string}
+ */
+function convertNode(node) {
+  if (node.type === 'text') {
+    return escapeMarkdown(node.value.replace(/\s+/g, ' '))
+  }
+
+  if (SKIPPED_ELEMENTS.includes(node.tagName)) {
+    return ''
+  }
+
+  switch (node.tagName) {
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6': {
+      const content = convertInline(node)
+      return content
+        ? toBlock(`${'#'.repeat(Number(node.tagName[1]))} ${content}`)
+        : ''
+    }
+
+    case 'br':
+      return '\\\n'
+
+    case 'hr':
+      return toBlock('---')
+
+    case 'em':
+    case 'i':
+      return wrapInline(convertChildren(node), '_')
+
+    case 'strong':
+    case 'b':
+      return wrapInline(convertChildren(node), '**')
+
+    case 'del':
+    case 's':
+    case 'strike':
+      return wrapInline(convertChildren(node), '~~')
+
+    case 'code':
+      return convertCode(getTextContent(node))
+
+    case 'pre':
+      return convertPre(node)
+
+    case 'a': {
+      const content = convertChildren(node)
+      const href = node.attributes.href
+      if (!href || !content.trim()) {
+        return content
+      }
+      return `[${content.trim()}](${formatLinkDestination(href, node.attributes.title)})`
+    }
+
+    case 'img': {
+      const src = node.attributes.src
+      return src
+        ? `![${escapeMarkdown(node.attributes.alt ?? '')}](${formatLinkDestination(src, node.attributes.title)})`
+        : ''
+    }
+
+    case 'input':
+      return node.attributes.type === 'checkbox'
+        ? 'checked' in node.attributes ? '[x] ' : '[ ] '
+        : ''
+
+    case 'ul':
+    case 'ol':
+      return convertList(node)
+
+    case 'blockquote': {
+      const content = normalizeBlankLines(convertChildren(node))
+      return toBlock(
+        content
+          .split('\n')
+          .map((line) => line ? `> ${line}` : '>')
+          .join('\n')
+      )
+    }
+
+    case 'table':
+      return convertTable(node)
+
+    default:
+      return isBlockElement(node)
+        ? toBlock(convertChildren(node).trim())
+        : convertChildren(node)
+  }
+}
+
+/**
+ * Converts the content of the specified element on a single line.
+ *
+ * @param {ElementNode} elementNode
+ * @returns {string}
+ */
+function convertInline(elementNode) {
+  return convertChildren(elementNode)
+    .replace(/\\?\n+/g, ' ')
+    .trim()
+}
+
+/**
+ * Surrounds the specified text with blank lines.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function toBlock(text) {
+  return text ? `\n\n${text}\n\n` : ''
+}
+
+/**
+ * Wraps the specified inline content with the given delimiter—e.g., `**` for strong emphasis.
+ * Surrounding spaces are moved outside of the delimiters.
+ *
+ * @param {string} content
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function wrapInline(content, delimiter) {
+  if (!content.trim()) {
+    return content
+  }
+  const [, leadingSpace, text, trailingSpace] = content.match(/^(\s*)([\s\S]*?)(\s*)$/)
+  return `${leadingSpace}${delimiter}${text}${delimiter}${trailingSpace}`
+}
+
+/**
+ * Converts inline code, with enough backticks to contain the backticks of the code.
+ *
+ * @param {string} code
+ * @returns {string}
+ */
+function convertCode(code) {
+  if (!code) {
+    return ''
+  }
+  const longestRun = Math.max(0, ...Array.from(code.matchAll(/`+/g), ([run]) => run.length))
+  const fence = '`'.repeat(longestRun + 1)
+  const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : ''
+  return `${fence}${padding}${code.replace(/\n/g, ' ')}${padding}${fence}`
+}
+
+/**
+ * Converts a preformatted element to a fenced code block.
+ * The language is taken from the `language-*` class of the element or its `<code>` element.
+ *
+ * @param {ElementNode} elementNode
+ * @returns {string}
+ */
+function convertPre(elementNode) {
+  const code = getTextContent(elementNode).replace(/\n$/, '')
+  const codeNode = elementNode.children.find((childNode) => childNode.type === 'element' && childNode.tagName === 'code')
+  const className = `${elementNode.attributes.class ?? ''} ${codeNode?.attributes.class ?? ''}`
+  const language = className.match(/(?:^|\s)(?:language|lang)-(\S+)/)?.[1] ?? ''
+  const longestRun = Math.max(0, ...Array.from(code.matchAll(/^`{3,}/gm), ([run]) => run.length))
+  const fence = '`'.repeat(Math.max(3, longestRun + 1))
+  return `\n\n${toCodeBlock(`${fence}${language}\n${code}\n${fence}`)}\n\n`
+}
+
+/**
+ * Converts a list, indenting the content of its items.
+ *
+ * @param {ElementNode} elementNode
+ * @returns {string}
+ */
+function convertList(elementNode) {
+  const start = parseInt(elementNode.attributes.start ?? '1', 10) || 1
+  const itemNodes = elementNode.children.filter((childNode) =>
+    childNode.type === 'element' && childNode.tagName === 'li'
+  )
+  const items = itemNodes.map((itemNode, index) => {
+    const marker = elementNode.tagName === 'ol'
+      ? `${start + index}. `
+      : '- '
+    const content = normalizeBlankLines(convertChildren(itemNode)).trim()
+    return formatListItem(marker, content)
+  })
+  return toBlock(items.join('\n'))
+}
+
+/**
+ * Converts a table to a pipe table—the first row being the header row.
+ * Its caption is converted to a paragraph before the table.
+ *
+ * @param {ElementNode} elementNode
+ * @returns {string}
+ */
+function convertTable(elementNode) {
+  const captionNode = elementNode.children.find((childNode) => childNode.type === 'element' && childNode.tagName === 'caption')
+  const caption = captionNode === undefined ? '' : toBlock(convertInline(captionNode))
+  const rows = getTableRows(elementNode).map((rowNode) =>
+    rowNode.children
+      .filter((childNode) => childNode.type === 'element' && ['td', 'th'].includes(childNode.tagName))
+      .map((cellNode) => convertInline(cellNode).replace(/\|/g, '\\|'))
+  )
+  const columnCount = Math.max(0, ...rows.map((cells) => cells.length))
+  if (columnCount === 0) {
+    return caption
+  }
+  const formatRow = (cells) => `| ${Array.from({ length: columnCount }, (_, index) => cells[index] ?? '').join(' | ')} |`
+  const [headerRow, ...bodyRows] = rows
+  return caption + toBlock([
+    formatRow(headerRow),
+    formatRow(Array(columnCount).fill('---')),
+    ...bodyRows.map(formatRow),
+  ].join('\n'))
+}
+
+/**
+ * Returns the rows of the specified table, in order—excluding the rows of nested tables.
+ *
+ * @param {ElementNode} elementNode
+ * @returns {ElementNode[]}
+ */
+function getTableRows(elementNode) {
+  return elementNode.children.flatMap((childNode) => {
+    if (childNode.type !== 'element') {
+      return []
+    }
+    switch (childNode.tagName) {
+      case 'tr':
+        return [childNode]
+
+      case 'thead':
+      case 'tbody':
+      case 'tfoot':
+        return getTableRows(childNode)
+
+      default:
+        return []
+    }
+  })
+}
+
+/**
+ * Formats the destination of a link or an image, with its optional title.
+ *
+ * @param {string} url
+ * @param {string} [title]
+ * @returns {string}
+ */
+function formatLinkDestination(url, title) {
+  const destination = url
+    .replace(/\s/g, encodeURIComponent)
+    .replace(/[()]/g, '\\$&')
+  return title
+    ? `${destination} "${title.replace(/"/g, '\\"')}"`
+    : destination
+}
+
+/**
+ * Escapes the Markdown syntax in the specified text.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+  return ESCAPES.reduce(
+    (text, [pattern, replacement]) => text.replace(pattern, replacement),
+    text
+  )
+}
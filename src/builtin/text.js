@@ -0,0 +1,91 @@
+// This module provides the built-in HTML to plain text converter—
+// similar to the rendered text of the page, with list markers and tab-separated table cells.
+
+import { parseHTML, getTextContent, isBlockElement, appendOutput, formatListItem, normalizeBlankLines, toCodeBlock, releaseCodeBlocks } from './html_tree.js'
+
+const SKIPPED_ELEMENTS = [
+  'head', 'noscript', 'script', 'style', 'template', 'title',
+]
+
+/**
+ * Converts the specified HTML to plain text.
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function htmlToText(html) {
+  const text = releaseCodeBlocks(normalizeBlankLines(convertChildren(parseHTML(html))))
+  return text ? `${text}\n` : ''
+}
+
+/**
+ * Converts the children of the specified element.
+ *
+ * @param {ElementNode} elementNode
+ * @returns {string}
+ */
+function convertChildren(elementNode) {
+  return elementNode.children.reduce(
+    (output, childNode) => appendOutput(output, convertNode(childNode)),
+    ''
+  )
+}
+
+/**
+ * Converts the specified node.
+ *
+ * @param {HTMLNode} node
+ * @returns {string}
+ */
+function convertNode(node) {
+  if (node.type === 'text') {
+    return node.value.replace(/\s+/g, ' ')
+  }
+
+  if (SKIPPED_ELEMENTS.includes(node.tagName)) {
+    return ''
+  }
+
+  switch (node.tagName) {
+    case 'br':
+      return '\n'
+
+    case 'img':
+      return node.attributes.alt ?? ''
+
+    case 'pre':
+      return `\n\n${toCodeBlock(getTextContent(node).replace(/\n$/, ''))}\n\n`
+
+    case 'ul':
+    case 'ol': {
+      const start = parseInt(node.attributes.start ?? '1', 10) || 1
+      const items = node.children
+        .filter((childNode) => childNode.type === 'element' && childNode.tagName === 'li')
+        .map((itemNode, index) => {
+          const marker = node.tagName === 'ol'
+            ? `${start + index}. `
+            : '- '
+          const content = normalizeBlankLines(convertChildren(itemNode)).trim()
+          return formatListItem(marker, content)
+        })
+      return `\n\n${items.join('\n')}\n\n`
+    }
+
+    case 'thead':
+    case 'tbody':
+    case 'tfoot':
+      return convertChildren(node)
+
+    case 'tr': {
+      const cells = node.children
+        .filter((childNode) => childNode.type === 'element' && ['td', 'th'].includes(childNode.tagName))
+        .map((cellNode) => convertChildren(cellNode).replace(/\s+/g, ' ').trim())
+      return `\n${cells.join('\t')}\n`
+    }
+
+    default:
+      return isBlockElement(node)
+        ? `\n\n${convertChildren(node).trim()}\n\n`
+        : convertChildren(node)
+  }
+}
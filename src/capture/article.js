@@ -0,0 +1,180 @@
+// This module provides the functionality to extract the main content of webpages—i.e., the article,
+// without navigation, sidebars, scripts, cookie banners and footers.
+//
+// The extraction is injected in webpages, and must therefore be self-contained.
+//
+// See Mozilla’s work for reference:
+// https://github.com/mozilla/readability
+
+/**
+ * Returns a string containing the HTML serialization of the main content of the document.
+ *
+ * The main content is the only `<article>` or `<main>` element of the document, if any.
+ * Otherwise, it is the element with the best text density:
+ * paragraphs score their parent and grandparent elements
+ * by their length and number of commas, and scores are penalized by link density
+ * and weighted by class names and IDs.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @returns {string}
+ */
+export function getArticleContent() {
+  const POSITIVE_PATTERN = /article|body|content|entry|hentry|main|page|post|text|blog|story/i
+  const NEGATIVE_PATTERN = /banner|combx|comment|community|consent|cookie|disqus|footer|menu|modal|nav|newsletter|popup|promo|related|share|sidebar|social|sponsor|subscribe|widget/i
+  const PARAGRAPH_SELECTOR = 'p, pre, td, blockquote, li'
+  const CLUTTER_SELECTOR = [
+    'script',
+    'style',
+    'noscript',
+    'template',
+    'link',
+    'iframe',
+    'object',
+    'embed',
+    'nav',
+    'aside',
+    'footer',
+    'form',
+    'button',
+    'input',
+    'select',
+    'textarea',
+    'dialog',
+    '[hidden]',
+    '[aria-hidden="true"]',
+    '[role="navigation"]',
+    '[role="banner"]',
+    '[role="complementary"]',
+    '[role="contentinfo"]',
+    '[role="dialog"]',
+  ].join(', ')
+  const MIN_PARAGRAPH_LENGTH = 25
+
+  /**
+   * Returns the class names and ID of the specified element.
+   *
+   * @param {Element} element
+   * @returns {string}
+   */
+  function getClassAndId(element) {
+    return `${element.getAttribute('class') ?? ''} ${element.id}`
+  }
+
+  /**
+   * Returns the weight of the specified element, from its class names and ID.
+   *
+   * @param {Element} element
+   * @returns {number}
+   */
+  function getClassWeight(element) {
+    const classAndId = getClassAndId(element)
+    return (
+      (POSITIVE_PATTERN.test(classAndId) ? 25 : 0) -
+      (NEGATIVE_PATTERN.test(classAndId) ? 25 : 0)
+    )
+  }
+
+  /**
+   * Returns the proportion of text inside links.
+   *
+   * @param {Element} element
+   * @returns {number}
+   */
+  function getLinkDensity(element) {
+    const textLength = element.textContent.length
+    if (textLength === 0) {
+      return 0
+    }
+    const linkTextLength = Array.from(element.querySelectorAll('a'), (anchorElement) =>
+      anchorElement.textContent.length
+    ).reduce((sum, length) => sum + length, 0)
+    return linkTextLength / textLength
+  }
+
+  /**
+   * Returns the element with the best text density.
+   *
+   * @returns {?Element}
+   */
+  function findBestCandidate() {
+    /**
+     * @type {Map<Element, number>}
+     */
+    const scores = new Map
+
+    for (const paragraphElement of document.body.querySelectorAll(PARAGRAPH_SELECTOR)) {
+      const text = paragraphElement.textContent.trim()
+      if (text.length < MIN_PARAGRAPH_LENGTH) {
+        continue
+      }
+      const score = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3)
+      const parentElement = paragraphElement.parentElement
+      const grandparentElement = parentElement?.parentElement
+      for (const [element, factor] of [[parentElement, 1], [grandparentElement, 0.5]]) {
+        if (element && element !== document.documentElement) {
+          if (!scores.has(element)) {
+            scores.set(element, getClassWeight(element))
+          }
+          scores.set(element, scores.get(element) + score * factor)
+        }
+      }
+    }
+
+    let bestCandidate = null
+    let bestScore = 0
+    for (const [element, score] of scores) {
+      const adjustedScore = score * (1 - getLinkDensity(element))
+      if (adjustedScore > bestScore) {
+        bestCandidate = element
+        bestScore = adjustedScore
+      }
+    }
+    return bestCandidate
+  }
+
+  /**
+   * Returns the main content element of the document.
+   *
+   * @returns {Element}
+   */
+  function findMainContent() {
+    for (const selector of ['article', 'main, [role="main"]', '[itemprop="articleBody"]']) {
+      const elements = document.body.querySelectorAll(selector)
+      if (elements.length === 1) {
+        return elements[0]
+      }
+    }
+    return findBestCandidate() ?? document.body
+  }
+
+  const mainContentElement = findMainContent().cloneNode(true)
+
+  for (const element of mainContentElement.querySelectorAll(CLUTTER_SELECTOR)) {
+    element.remove()
+  }
+
+  for (const element of mainContentElement.querySelectorAll('[class], [id]')) {
+    if (
+      mainContentElement.contains(element) &&
+      NEGATIVE_PATTERN.test(getClassAndId(element)) &&
+      !POSITIVE_PATTERN.test(getClassAndId(element)) &&
+      getLinkDensity(element) > 0.25
+    ) {
+      element.remove()
+    }
+  }
+
+  // Keep the title of the page, when the main content does not have one.
+  const title = (
+    document.querySelector('meta[property="og:title"]')?.content ||
+    document.title
+  )
+  if (title && mainContentElement.querySelector('h1') === null) {
+    const headingElement = document.createElement('h1')
+    headingElement.textContent = title
+    mainContentElement.prepend(headingElement)
+  }
+
+  return mainContentElement.outerHTML
+}
@@ -0,0 +1,75 @@
+// This content script records the block around the element right-clicked in webpages—
+// the nearest table, list, code block, figure or quote—so that it can be copied
+// with the “Copy this table as…” context menu item, and the like.
+//
+// The script is registered when enabling the `contextBlocks` option, with the permission to access webpages.
+// It runs in the isolated world of the extension—shared by the functions injected
+// with `chrome.scripting.executeScript()`, which read the recorded block.
+//
+// Isolated worlds: https://developer.chrome.com/docs/extensions/develop/concepts/content-scripts#isolated_world
+
+{
+  const BLOCK_SELECTOR = 'table, ul, ol, dl, pre, figure, blockquote'
+
+  /**
+   * Returns the kind of the specified block, used in the title of the context menu item.
+   *
+   * @param {Element} blockElement
+   * @returns {"table" | "list" | "code" | "figure" | "quote"}
+   */
+  function getBlockKind(blockElement) {
+    switch (blockElement.localName) {
+      case 'table':
+        return 'table'
+
+      case 'pre':
+        return 'code'
+
+      case 'figure':
+        return 'figure'
+
+      case 'blockquote':
+        return 'quote'
+
+      default:
+        return 'list'
+    }
+  }
+
+  /**
+   * Records the block around the target of the specified event—`null` when there is none—
+   * and reports its kind, to show the matching context menu item.
+   * The kind is reported at each right-click, since the context menu is shared by all tabs.
+   *
+   * Blocks that are the content of a `<figure>` element are recorded with the figure,
+   * so that their caption is kept.
+   *
+   * @param {MouseEvent} mouseEvent
+   * @returns {void}
+   */
+  function recordContextBlock(mouseEvent) {
+    const [targetNode] = mouseEvent.composedPath()
+    const targetElement = targetNode instanceof Element ? targetNode : targetNode?.parentElement
+    const blockElement = targetElement?.closest(BLOCK_SELECTOR) ?? null
+    const blockKind = blockElement === null ? null : getBlockKind(blockElement)
+
+    globalThis.pandocContextBlock = blockElement?.parentElement?.localName === 'figure'
+      ? blockElement.parentElement
+      : blockElement
+
+    chrome.runtime.sendMessage({
+      type: 'contextBlock',
+      blockKind
+    })
+  }
+
+  // The context menu is updated on right button press—before the `contextmenu` event,
+  // to get ahead of the menu—and on `contextmenu` for the keyboard.
+  addEventListener('pointerdown', (pointerEvent) => {
+    if (pointerEvent.button === 2) {
+      recordContextBlock(pointerEvent)
+    }
+  }, true)
+
+  addEventListener('contextmenu', recordContextBlock, true)
+}
@@ -0,0 +1,151 @@
+// This module provides the functionality to fetch the images of captured HTML,
+// so that they keep working for authenticated pages and offline notes—
+// either embedded as data URIs, or saved next to the output file.
+//
+// The fetching is injected in webpages, and must therefore be self-contained.
+// Images are fetched in the context of the page, with the cookies of the user.
+//
+// Data URLs: https://developer.mozilla.org/en-US/docs/Web/URI/Reference/Schemes/data
+
+/**
+ * @typedef {object} ImageFile
+ * @property {string} filename - The path of the image, relative to the output file.
+ * @property {string} url - The data URL of the image.
+ */
+
+/**
+ * @typedef {object} ImageOptions
+ * @property {?string} folder - The folder to save images in, relative to the output file—`null` to embed images.
+ * @property {number} maxImageSize - The maximum size of images, in bytes.
+ * @property {string[]} skipImages - The URL patterns of images to leave untouched—`*` matches any characters.
+ */
+
+/**
+ * Returns the specified HTML with its images embedded as data URIs,
+ * or pointing to local files when a folder is specified—along with the files to save.
+ *
+ * Images that cannot be fetched, that are too large or that match the skip list
+ * are left untouched.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @param {string} html
+ * @param {ImageOptions} options
+ * @returns {Promise<{ html: string, images: ImageFile[] }>}
+ */
+export async function fetchImages(html, { folder, maxImageSize, skipImages }) {
+  const EXTENSIONS = {
+    'image/avif': 'avif',
+    'image/bmp': 'bmp',
+    'image/gif': 'gif',
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/svg+xml': 'svg',
+    'image/webp': 'webp',
+    'image/x-icon': 'ico',
+  }
+
+  const skipPatterns = skipImages.map((pattern) => {
+    const source = pattern
+      .split('*')
+      .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('.*')
+    return new RegExp(`^${source}$`)
+  })
+
+  /**
+   * Fetches the specified image, and returns it as a data URL,
+   * or `null` when it cannot be fetched or is too large.
+   *
+   * @param {string} url
+   * @returns {Promise<?{ type: string, url: string }>}
+   */
+  async function fetchImage(url) {
+    try {
+      const response = await fetch(url)
+      const contentLength = parseInt(response.headers.get('Content-Length'), 10)
+      if (!response.ok || contentLength > maxImageSize) {
+        return null
+      }
+      const blob = await response.blob()
+      if (!blob.type.startsWith('image/') || blob.size > maxImageSize) {
+        return null
+      }
+      const dataURL = await new Promise((resolve, reject) => {
+        const fileReader = new FileReader
+        fileReader.addEventListener('load', () => resolve(fileReader.result))
+        fileReader.addEventListener('error', () => reject(fileReader.error))
+        fileReader.readAsDataURL(blob)
+      })
+      return {
+        type: blob.type,
+        url: dataURL
+      }
+    } catch {
+      // Cross-origin images without CORS headers cannot be read.
+      return null
+    }
+  }
+
+  // Full documents are parsed as documents, to keep their `<head>` and `<body>` elements.
+  const isDocument = /^\s*<html[\s>]/i.test(html)
+  const templateElement = document.createElement('template')
+  let rootNode
+  if (isDocument) {
+    rootNode = new DOMParser().parseFromString(html, 'text/html').documentElement
+  } else {
+    templateElement.innerHTML = html
+    rootNode = templateElement.content
+  }
+
+  const imageElements = Array.from(rootNode.querySelectorAll('img[src]')).filter((imageElement) => {
+    const url = imageElement.getAttribute('src')
+    return /^https?:/.test(url) && !skipPatterns.some((skipPattern) => skipPattern.test(url))
+  })
+  const urls = [...new Set(imageElements.map((imageElement) => imageElement.getAttribute('src')))]
+  const fetchedImages = await Promise.all(urls.map(fetchImage))
+
+  /**
+   * @type {Map<string, string>}
+   */
+  const sources = new Map
+  const images = []
+  for (const [index, url] of urls.entries()) {
+    const fetchedImage = fetchedImages[index]
+    if (fetchedImage === null) {
+      continue
+    }
+    if (folder === null) {
+      sources.set(url, fetchedImage.url)
+    } else {
+      const filename = `image-${images.length + 1}.${EXTENSIONS[fetchedImage.type] ?? 'img'}`
+      sources.set(url, `${encodeURIComponent(folder)}/${filename}`)
+      images.push({
+        filename: `${folder}/${filename}`,
+        url: fetchedImage.url
+      })
+    }
+  }
+
+  for (const imageElement of imageElements) {
+    const source = sources.get(imageElement.getAttribute('src'))
+    if (source === undefined) {
+      continue
+    }
+    imageElement.setAttribute('src', source)
+    // Responsive image candidates would still point to the remote images.
+    imageElement.removeAttribute('srcset')
+    if (imageElement.parentElement?.tagName === 'PICTURE') {
+      for (const sourceElement of imageElement.parentElement.querySelectorAll('source')) {
+        sourceElement.remove()
+      }
+    }
+  }
+
+  return {
+    html: isDocument
+      ? rootNode.outerHTML
+      : templateElement.innerHTML,
+    images
+  }
+}
@@ -0,0 +1,112 @@
+// This module provides the functionality to gather metadata from webpages—
+// title, canonical URL, author and published date—from `<meta>` elements,
+// Open Graph properties and JSON-LD structured data.
+//
+// The gathering is injected in webpages, and must therefore be self-contained.
+//
+// - https://ogp.me
+// - https://json-ld.org
+
+/**
+ * @typedef {object} PageMetadata
+ * @property {string} title - The title of the page.
+ * @property {string} url - The canonical URL of the page.
+ * @property {?string} author - The author of the page.
+ * @property {?string} date - The published date of the page.
+ * @property {?string} lang - The language of the page.
+ * @property {string} captured - The ISO date of the capture.
+ */
+
+/**
+ * Returns the metadata of the document.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @returns {PageMetadata}
+ */
+export function getPageMetadata() {
+  /**
+   * Returns the content of the first matching `<meta>` element.
+   *
+   * @param {...string} selectors
+   * @returns {?string}
+   */
+  function getMetaContent(...selectors) {
+    for (const selector of selectors) {
+      const content = document.querySelector(selector)?.getAttribute('content')?.trim()
+      if (content) {
+        return content
+      }
+    }
+    return null
+  }
+
+  /**
+   * Returns the JSON-LD objects of the document, flattening graphs and lists.
+   *
+   * @returns {object[]}
+   */
+  function getStructuredData() {
+    const objects = []
+    for (const scriptElement of document.querySelectorAll('script[type="application/ld+json"]')) {
+      try {
+        const data = JSON.parse(scriptElement.textContent)
+        const stack = [data]
+        while (stack.length > 0) {
+          const value = stack.pop()
+          if (Array.isArray(value)) {
+            stack.push(...value)
+          } else if (typeof value === 'object' && value !== null) {
+            objects.push(value)
+            if ('@graph' in value) {
+              stack.push(value['@graph'])
+            }
+          }
+        }
+      } catch {
+        // Ignore malformed structured data.
+      }
+    }
+    return objects
+  }
+
+  /**
+   * Returns the names of the specified JSON-LD author—a string, a person or a list of them.
+   *
+   * @param {any} author
+   * @returns {?string}
+   */
+  function getAuthorName(author) {
+    const names = [author].flat().map((author) =>
+      typeof author === 'string' ? author : author?.name
+    ).filter((name) => typeof name === 'string' && name.trim())
+    return names.length > 0 ? names.join(', ') : null
+  }
+
+  const article = getStructuredData().find((object) =>
+    'author' in object || 'datePublished' in object
+  ) ?? {}
+
+  return {
+    title: (
+      getMetaContent('meta[property="og:title"]') ??
+      (typeof article.headline === 'string' ? article.headline : null) ??
+      document.title
+    ),
+    url: (
+      document.querySelector('link[rel="canonical"]')?.href ??
+      getMetaContent('meta[property="og:url"]') ??
+      location.href
+    ),
+    author: (
+      getMetaContent('meta[name="author"]', 'meta[property="article:author"]') ??
+      getAuthorName(article.author)
+    ),
+    date: (
+      getMetaContent('meta[property="article:published_time"]', 'meta[name="date"]', 'meta[itemprop="datePublished"]') ??
+      (typeof article.datePublished === 'string' ? article.datePublished : null)
+    ),
+    lang: document.documentElement.lang || null,
+    captured: new Date().toISOString()
+  }
+}
@@ -0,0 +1,78 @@
+// This module provides the functionality to apply site rules to captured HTML—
+// e.g., to remove edit links, unwrap syntax-highlighting spans,
+// or keep the language classes of code blocks.
+//
+// The rules are applied in webpages, and must therefore be self-contained.
+
+/**
+ * Returns the specified HTML with the given site rules applied:
+ * elements matching `remove` selectors are removed, elements matching `unwrap` selectors
+ * are replaced with their content, and attributes not listed in `keepAttributes` are removed—
+ * the attributes listed by any of the rules are kept.
+ *
+ * Invalid selectors are ignored.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @param {string} html
+ * @param {SiteRule[]} siteRules
+ * @returns {string}
+ */
+export function applySiteRules(html, siteRules) {
+  /**
+   * Returns the elements matching the specified selector, or none when the selector is invalid.
+   *
+   * @param {ParentNode} rootNode
+   * @param {string} selector
+   * @returns {Element[]}
+   */
+  function querySelectorAll(rootNode, selector) {
+    try {
+      return Array.from(rootNode.querySelectorAll(selector))
+    } catch {
+      return []
+    }
+  }
+
+  // Full documents are parsed as documents, to keep their `<head>` and `<body>` elements.
+  const isDocument = /^\s*<html[\s>]/i.test(html)
+  const templateElement = document.createElement('template')
+  let rootNode
+  if (isDocument) {
+    rootNode = new DOMParser().parseFromString(html, 'text/html').documentElement
+  } else {
+    templateElement.innerHTML = html
+    rootNode = templateElement.content
+  }
+
+  for (const siteRule of siteRules) {
+    for (const selector of siteRule.remove ?? []) {
+      for (const element of querySelectorAll(rootNode, selector)) {
+        element.remove()
+      }
+    }
+    for (const selector of siteRule.unwrap ?? []) {
+      for (const element of querySelectorAll(rootNode, selector)) {
+        element.replaceWith(...element.childNodes)
+      }
+    }
+  }
+
+  const keptAttributeLists = siteRules
+    .filter((siteRule) => siteRule.keepAttributes !== undefined)
+    .map((siteRule) => siteRule.keepAttributes)
+  if (keptAttributeLists.length > 0) {
+    const keptAttributes = new Set(keptAttributeLists.flat().map((name) => name.toLowerCase()))
+    for (const element of rootNode.querySelectorAll('*')) {
+      for (const attributeName of element.getAttributeNames()) {
+        if (!keptAttributes.has(attributeName.toLowerCase())) {
+          element.removeAttribute(attributeName)
+        }
+      }
+    }
+  }
+
+  return isDocument
+    ? rootNode.outerHTML
+    : templateElement.innerHTML
+}
@@ -0,0 +1,257 @@
+// This module provides the functionality to capture the selection in webpages,
+// including the content of open shadow roots and of `<canvas>` elements.
+//
+// The capture is injected in every frame of webpages, and must therefore be self-contained.
+// Each frame reports its position in the frame tree, so that frame results
+// can be ordered deterministically—in document order.
+//
+// - https://developer.mozilla.org/en-US/docs/Web/API/Selection/getComposedRanges
+// - https://developer.mozilla.org/en-US/docs/Web/API/Web_components/Using_shadow_DOM
+
+/**
+ * @typedef {object} FrameContent
+ * @property {number[]} framePath - The indexes of the frame and its ancestors in their parent frame—empty for the top frame.
+ * @property {string} url - The URL of the frame.
+ * @property {string} html - The captured HTML.
+ */
+
+/**
+ * Returns the HTML serialization of the selection in the document,
+ * or `null` when nothing is selected.
+ *
+ * The selection is serialized by walking the flat tree—i.e., shadow hosts are rendered
+ * with the content of their open shadow root, and slots with their assigned nodes.
+ * `<canvas>` elements are rendered as images, when they can be read.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @returns {?FrameContent}
+ */
+export function getSelectionContent() {
+  const SKIPPED_ELEMENTS = ['SCRIPT', 'STYLE', 'TEMPLATE', 'NOSCRIPT']
+
+  /**
+   * Returns the open shadow roots in the specified tree, recursively.
+   *
+   * @param {Document | ShadowRoot} root
+   * @returns {ShadowRoot[]}
+   */
+  function getShadowRoots(root) {
+    const shadowRoots = []
+    for (const element of root.querySelectorAll('*')) {
+      if (element.shadowRoot) {
+        shadowRoots.push(element.shadowRoot, ...getShadowRoots(element.shadowRoot))
+      }
+    }
+    return shadowRoots
+  }
+
+  /**
+   * Returns the selected ranges, which may cross shadow boundaries when supported.
+   *
+   * @returns {AbstractRange[]}
+   */
+  function getSelectedRanges() {
+    const selection = window.getSelection()
+    const ranges = typeof selection.getComposedRanges === 'function'
+      ? selection.getComposedRanges({ shadowRoots: getShadowRoots(document) })
+      : Array.from({ length: selection.rangeCount }, (_, index) => selection.getRangeAt(index))
+    return ranges.filter((range) => !range.collapsed)
+  }
+
+  /**
+   * Returns the parent of the specified node in the flat tree.
+   *
+   * @param {Node} node
+   * @returns {?Node}
+   */
+  function getFlatTreeParent(node) {
+    if (node.assignedSlot) {
+      return node.assignedSlot
+    }
+    return node.parentNode instanceof ShadowRoot
+      ? node.parentNode.host
+      : node.parentNode
+  }
+
+  /**
+   * Returns the children of the specified node in the flat tree.
+   *
+   * @param {Node} node
+   * @returns {Node[]}
+   */
+  function getFlatTreeChildren(node) {
+    if (node instanceof HTMLSlotElement) {
+      const assignedNodes = node.assignedNodes()
+      return assignedNodes.length > 0 ? assignedNodes : Array.from(node.childNodes)
+    }
+    return Array.from((node.shadowRoot ?? node).childNodes)
+  }
+
+  /**
+   * Returns the nearest common ancestor of the specified nodes in the flat tree.
+   *
+   * @param {Node} node
+   * @param {Node} otherNode
+   * @returns {Node}
+   */
+  function getCommonAncestor(node, otherNode) {
+    const ancestors = new Set
+    for (let ancestor = node; ancestor; ancestor = getFlatTreeParent(ancestor)) {
+      ancestors.add(ancestor)
+    }
+    for (let ancestor = otherNode; ancestor; ancestor = getFlatTreeParent(ancestor)) {
+      if (ancestors.has(ancestor)) {
+        return ancestor
+      }
+    }
+    return document.documentElement
+  }
+
+  /**
+   * Returns an image of the specified canvas, or `null` when the canvas cannot be read—
+   * e.g., when tainted by cross-origin data.
+   *
+   * @param {HTMLCanvasElement} canvasElement
+   * @returns {?HTMLImageElement}
+   */
+  function getCanvasImage(canvasElement) {
+    try {
+      const imageElement = document.createElement('img')
+      imageElement.src = canvasElement.toDataURL()
+      imageElement.width = canvasElement.width
+      imageElement.height = canvasElement.height
+      imageElement.alt = canvasElement.getAttribute('aria-label') ?? ''
+      return imageElement
+    } catch {
+      return null
+    }
+  }
+
+  /**
+   * Returns a fragment with the selected content of the specified range,
+   * similar to `Range.cloneContents()`, but walking the flat tree.
+   *
+   * @param {AbstractRange} range
+   * @returns {DocumentFragment}
+   */
+  function cloneFlatTreeContents(range) {
+    const { startContainer, startOffset, endContainer, endOffset } = range
+    const documentFragment = document.createDocumentFragment()
+
+    if (startContainer === endContainer && startContainer instanceof CharacterData) {
+      if (startContainer instanceof Text) {
+        documentFragment.append(startContainer.data.slice(startOffset, endOffset))
+      }
+      return documentFragment
+    }
+
+    // Boundary points in elements are before the child at the offset, or at the end when `null`.
+    const startChild = startContainer instanceof CharacterData ? null : startContainer.childNodes[startOffset] ?? null
+    const endChild = endContainer instanceof CharacterData ? null : endContainer.childNodes[endOffset] ?? null
+
+    let isInside = false
+    let isDone = false
+
+    /**
+     * Returns a copy of the selected part of the specified node, if any.
+     *
+     * @param {Node} node
+     * @returns {?Node}
+     */
+    function cloneSelectedNode(node) {
+      if (isDone) {
+        return null
+      }
+      if (node === startChild) {
+        isInside = true
+      }
+      if (node === endChild) {
+        isDone = true
+        return null
+      }
+
+      if (node instanceof CharacterData) {
+        let text = node instanceof Text ? node.data : ''
+        const wasInside = isInside || node === startContainer
+        if (node === endContainer) {
+          text = text.slice(0, endOffset)
+          isDone = true
+        }
+        if (node === startContainer) {
+          text = text.slice(startOffset)
+          isInside = true
+        }
+        return wasInside && text ? document.createTextNode(text) : null
+      }
+
+      if (!(node instanceof Element) || SKIPPED_ELEMENTS.includes(node.tagName)) {
+        return null
+      }
+
+      if (node instanceof HTMLCanvasElement) {
+        return isInside ? getCanvasImage(node) : null
+      }
+
+      const wasInside = isInside
+      const clone = node instanceof HTMLSlotElement
+        ? document.createDocumentFragment()
+        : node.cloneNode(false)
+
+      for (const childNode of getFlatTreeChildren(node)) {
+        const childClone = cloneSelectedNode(childNode)
+        if (childClone) {
+          clone.append(childClone)
+        }
+      }
+
+      // The start child may not be in the flat tree—e.g., a child of a shadow host not assigned to a slot.
+      if (node === startContainer) {
+        isInside = true
+      }
+      if (node === endContainer) {
+        isDone = true
+      }
+      return wasInside || clone.hasChildNodes() ? clone : null
+    }
+
+    const commonAncestor = getCommonAncestor(startContainer, endContainer)
+    for (const childNode of getFlatTreeChildren(commonAncestor)) {
+      const childClone = cloneSelectedNode(childNode)
+      if (childClone) {
+        documentFragment.append(childClone)
+      }
+    }
+    return documentFragment
+  }
+
+  /**
+   * Returns the position of the current frame in the frame tree.
+   *
+   * @returns {number[]}
+   */
+  function getFramePath() {
+    const framePath = []
+    for (let frame = window; frame !== frame.parent; frame = frame.parent) {
+      const parentFrame = frame.parent
+      const frameIndex = Array.from({ length: parentFrame.length }, (_, index) => parentFrame[index])
+        .indexOf(frame)
+      framePath.unshift(frameIndex)
+    }
+    return framePath
+  }
+
+  const ranges = getSelectedRanges()
+  if (ranges.length === 0) {
+    return null
+  }
+
+  const templateElement = document.createElement('template')
+  templateElement.content.append(...ranges.map(cloneFlatTreeContents))
+
+  return {
+    framePath: getFramePath(),
+    url: location.href,
+    html: templateElement.innerHTML
+  }
+}
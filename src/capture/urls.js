@@ -0,0 +1,113 @@
+// This module provides the functionality to rewrite relative URLs in captured HTML,
+// so that links and media keep working once the converted text is pasted elsewhere.
+//
+// The rewriting is injected in webpages, and must therefore be self-contained.
+
+/**
+ * Returns the specified HTML with all URLs resolved against the base URL of the document—
+ * including `srcset` candidates and `url()` functions in inline styles.
+ *
+ * - https://developer.mozilla.org/en-US/docs/Web/API/Node/baseURI
+ * - https://html.spec.whatwg.org/multipage/images.html#parsing-a-srcset-attribute
+ *
+ * @param {string} html
+ * @returns {string}
+ */
+export function absolutizeURLs(html) {
+  const URL_ATTRIBUTES = ['href', 'src', 'poster', 'cite', 'action', 'background']
+
+  /**
+   * Resolves the specified URL against the base URL of the document.
+   * Returns the URL unchanged when it cannot be parsed.
+   *
+   * @param {string} url
+   * @returns {string}
+   */
+  function resolveURL(url) {
+    try {
+      return new URL(url, document.baseURI).href
+    } catch {
+      return url
+    }
+  }
+
+  /**
+   * Resolves each image candidate URL of the specified `srcset` attribute.
+   *
+   * @param {string} srcset
+   * @returns {string}
+   */
+  function resolveSrcset(srcset) {
+    const imageCandidates = []
+    let remainingText = srcset
+    while (true) {
+      const urlMatch = remainingText.match(/^[\s,]*(\S+)/)
+      if (urlMatch === null) {
+        break
+      }
+      remainingText = remainingText.slice(urlMatch[0].length)
+      let url = urlMatch[1]
+      let descriptors = ''
+      // A URL ending with commas has no descriptors.
+      if (url.endsWith(',')) {
+        url = url.replace(/,+$/, '')
+      } else {
+        const descriptorsMatch = remainingText.match(/^[^,]*/)
+        descriptors = descriptorsMatch[0].trim()
+        remainingText = remainingText.slice(descriptorsMatch[0].length)
+      }
+      imageCandidates.push(
+        descriptors
+          ? `${resolveURL(url)} ${descriptors}`
+          : resolveURL(url)
+      )
+    }
+    return imageCandidates.join(', ')
+  }
+
+  /**
+   * Resolves each `url()` function of the specified inline style.
+   *
+   * @param {string} style
+   * @returns {string}
+   */
+  function resolveStyle(style) {
+    return style.replace(/url\(\s*(['"]?)(.*?)\1\s*\)/g, (_, quote, url) =>
+      `url(${quote}${resolveURL(url)}${quote})`
+    )
+  }
+
+  // Full documents are parsed as documents, to keep their `<head>` and `<body>` elements;
+  // fragments are parsed in a template element, to keep elements such as table rows
+  // outside of their context.
+  const isDocument = /^\s*<html[\s>]/i.test(html)
+  const templateElement = document.createElement('template')
+  let rootNode
+  if (isDocument) {
+    rootNode = new DOMParser().parseFromString(html, 'text/html').documentElement
+  } else {
+    templateElement.innerHTML = html
+    rootNode = templateElement.content
+  }
+
+  for (const attributeName of URL_ATTRIBUTES) {
+    for (const element of rootNode.querySelectorAll(`[${attributeName}]`)) {
+      const value = element.getAttribute(attributeName).trim()
+      if (value) {
+        element.setAttribute(attributeName, resolveURL(value))
+      }
+    }
+  }
+
+  for (const element of rootNode.querySelectorAll('[srcset]')) {
+    element.setAttribute('srcset', resolveSrcset(element.getAttribute('srcset')))
+  }
+
+  for (const element of rootNode.querySelectorAll('[style]')) {
+    element.setAttribute('style', resolveStyle(element.getAttribute('style')))
+  }
+
+  return isDocument
+    ? rootNode.outerHTML
+    : templateElement.innerHTML
+}
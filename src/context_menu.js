@@ -0,0 +1,200 @@
+// This module provides the functionality to create the context menu items of converters—
+// a “Copy as…” parent item, with a submenu for each group of converters.
+//
+// Converters only appear in the contexts they apply to—e.g., an image converter
+// when right-clicking images—and can be preceded by a separator.
+//
+// With the `contextBlocks` option, a “Copy this table as…” parent item—or list, code block,
+// figure and quote—copies the block around the click. It is shown by the `context_block.js`
+// content script, when right-clicking inside such a block.
+//
+// https://developer.chrome.com/docs/extensions/reference/api/contextMenus
+
+import '../@types/converter.js'
+
+/**
+ * The contexts converters apply to, by default.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/contextMenus#type-ContextType
+ */
+export const CONVERTER_CONTEXTS = ['page', 'selection', 'link', 'image', 'video', 'audio']
+
+/**
+ * The contexts of the block items—i.e., when right-clicking text.
+ */
+const BLOCK_CONTEXTS = ['page', 'selection', 'link']
+
+/**
+ * The titles of the block parent item, by kind of block.
+ */
+const BLOCK_MENU_TITLES = {
+  table: 'Copy this table as…',
+  list: 'Copy this list as…',
+  code: 'Copy this code block as…',
+  figure: 'Copy this figure as…',
+  quote: 'Copy this quote as…'
+}
+
+const PARENT_MENU_ITEM_ID = 'copy_as'
+const BLOCK_PARENT_MENU_ITEM_ID = 'copy_block'
+const BLOCK_MENU_ITEM_PREFIX = 'block_'
+
+/**
+ * Creates the context menu items of the specified converters.
+ *
+ * Converter items are identified by the index of their converter—
+ * prefixed with `block_` in the hidden “Copy this block as…” submenu.
+ * Parent items are only shown in the contexts of their converters.
+ *
+ * @param {Converter[]} converters
+ * @returns {void}
+ */
+export function createConverterMenuItems(converters) {
+  const menuConverters = converters
+    .map((converter, index) => ({ converter, index }))
+    .filter(({ converter }) => getConverterContexts(converter).length > 0)
+
+  if (menuConverters.length === 0) {
+    return
+  }
+
+  chrome.contextMenus.create({
+    id: PARENT_MENU_ITEM_ID,
+    title: 'Copy as…',
+    contexts: getMenuContexts(menuConverters.map(({ converter }) => converter))
+  })
+
+  createSubmenuItems(menuConverters, PARENT_MENU_ITEM_ID, '', getConverterContexts)
+
+  const blockConverters = menuConverters.filter(({ converter }) =>
+    getConverterContexts(converter).includes('page')
+  )
+
+  if (blockConverters.length === 0) {
+    return
+  }
+
+  chrome.contextMenus.create({
+    id: BLOCK_PARENT_MENU_ITEM_ID,
+    title: BLOCK_MENU_TITLES.table,
+    contexts: BLOCK_CONTEXTS,
+    visible: false
+  })
+
+  createSubmenuItems(blockConverters, BLOCK_PARENT_MENU_ITEM_ID, BLOCK_MENU_ITEM_PREFIX, () => BLOCK_CONTEXTS)
+}
+
+/**
+ * Shows the “Copy this block as…” parent item for the specified kind of block—
+ * e.g., “Copy this table as…”—or hides it when there is none.
+ *
+ * @param {?string} blockKind
+ * @returns {Promise<void>}
+ */
+export async function updateBlockMenuItem(blockKind) {
+  try {
+    await chrome.contextMenus.update(BLOCK_PARENT_MENU_ITEM_ID, Object.hasOwn(BLOCK_MENU_TITLES, blockKind)
+      ? { title: BLOCK_MENU_TITLES[blockKind], visible: true }
+      : { visible: false }
+    )
+  } catch {
+    // No block item—e.g., no converter applies to pages.
+  }
+}
+
+/**
+ * Parses the specified context menu item ID of a converter.
+ * Returns the index of the converter, and whether it copies the block around the click,
+ * or `null` for other items.
+ *
+ * @param {string | number} menuItemId
+ * @returns {?{ converterIndex: number, isBlock: boolean }}
+ */
+export function parseConverterMenuItemId(menuItemId) {
+  const menuItemIdMatch = String(menuItemId).match(/^(block_)?(\d+)$/)
+  if (menuItemIdMatch === null) {
+    return null
+  }
+  return {
+    converterIndex: parseInt(menuItemIdMatch[2], 10),
+    isBlock: menuItemIdMatch[1] !== undefined
+  }
+}
+
+/**
+ * Creates the items of the specified converters—grouped, and preceded by their separator—
+ * under the given parent item.
+ *
+ * @param {Array<{ converter: Converter, index: number }>} menuConverters
+ * @param {string} rootParentId
+ * @param {string} idPrefix
+ * @param {(converter: Converter) => string[]} getContexts
+ * @returns {void}
+ */
+function createSubmenuItems(menuConverters, rootParentId, idPrefix, getContexts) {
+  const groupMenuItemIds = new Map
+
+  for (const { converter, index } of menuConverters) {
+    const contexts = getContexts(converter)
+
+    let parentId = rootParentId
+    if (converter.group) {
+      if (!groupMenuItemIds.has(converter.group)) {
+        groupMenuItemIds.set(converter.group, `${idPrefix}group_${groupMenuItemIds.size}`)
+        chrome.contextMenus.create({
+          id: groupMenuItemIds.get(converter.group),
+          parentId,
+          title: converter.group,
+          contexts: getMenuContexts(
+            menuConverters
+              .map(({ converter }) => converter)
+              .filter((otherConverter) => otherConverter.group === converter.group),
+            getContexts
+          )
+        })
+      }
+      parentId = groupMenuItemIds.get(converter.group)
+    }
+
+    if (converter.separator) {
+      chrome.contextMenus.create({
+        id: `${idPrefix}separator_${index}`,
+        parentId,
+        type: 'separator',
+        contexts
+      })
+    }
+
+    chrome.contextMenus.create({
+      id: `${idPrefix}${index}`,
+      parentId,
+      title: (converter.destination ?? 'clipboard') === 'clipboard'
+        ? converter.name
+        : `Save as ${converter.name}`,
+      contexts
+    })
+  }
+}
+
+/**
+ * Returns the contexts the specified converter applies to.
+ *
+ * @param {Converter} converter
+ * @returns {string[]}
+ */
+function getConverterContexts(converter) {
+  return converter.contexts ?? CONVERTER_CONTEXTS
+}
+
+/**
+ * Returns the contexts of a parent item—i.e., the contexts of any of its converters.
+ *
+ * @param {Converter[]} converters
+ * @param {(converter: Converter) => string[]} [getContexts=getConverterContexts]
+ * @returns {string[]}
+ */
+function getMenuContexts(converters, getContexts = getConverterContexts) {
+  return CONVERTER_CONTEXTS.filter((context) =>
+    converters.some((converter) => getContexts(converter).includes(context))
+  )
+}
@@ -0,0 +1,240 @@
+// This module provides the functionality to pick a converter in webpages,
+// with a small list that can be filtered by typing and navigated with the keyboard.
+//
+// The picker is injected in webpages, and must therefore be self-contained.
+// It is rendered in a closed shadow root, so that page styles do not apply.
+//
+// Shadow DOM: https://developer.mozilla.org/en-US/docs/Web/API/Web_components/Using_shadow_DOM
+
+/**
+ * Shows the converter picker, and returns the index of the picked converter,
+ * or `null` when dismissed.
+ *
+ * The selection of the page is restored when the picker is closed,
+ * so that it can be copied with the picked converter.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @param {string[]} converterNames
+ * @returns {Promise<?number>}
+ */
+export function pickConverter(converterNames) {
+  const STYLE = `
+    :host {
+      all: initial;
+    }
+
+    .backdrop {
+      position: fixed;
+      inset: 0;
+      z-index: 2147483647;
+      display: flex;
+      align-items: flex-start;
+      justify-content: center;
+      padding-top: 15vh;
+      background-color: rgb(0 0 0 / 25%);
+      color-scheme: light dark;
+      font-family: system-ui;
+      font-size: 14px;
+    }
+
+    .picker {
+      width: 320px;
+      border-radius: 8px;
+      background-color: Canvas;
+      color: CanvasText;
+      box-shadow: 0 8px 24px rgb(0 0 0 / 35%);
+      overflow: hidden;
+    }
+
+    input {
+      box-sizing: border-box;
+      width: 100%;
+      padding: 8px 12px;
+      border: none;
+      border-bottom: 1px solid GrayText;
+      background: none;
+      color: inherit;
+      font: inherit;
+      outline: none;
+    }
+
+    ul {
+      max-height: 50vh;
+      margin: 0;
+      padding: 4px 0;
+      list-style: none;
+      overflow-y: auto;
+    }
+
+    li {
+      padding: 6px 12px;
+      cursor: pointer;
+    }
+
+    li[aria-selected="true"] {
+      background-color: Highlight;
+      color: HighlightText;
+    }
+
+    li[hidden] {
+      display: none;
+    }
+  `
+
+  const selection = window.getSelection()
+  const ranges = Array.from({ length: selection.rangeCount }, (_, index) =>
+    selection.getRangeAt(index)
+  )
+  const activeElement = document.activeElement
+
+  const hostElement = document.createElement('div')
+  const shadowRoot = hostElement.attachShadow({ mode: 'closed' })
+  const styleElement = document.createElement('style')
+  const backdropElement = document.createElement('div')
+  const pickerElement = document.createElement('div')
+  const inputElement = document.createElement('input')
+  const listElement = document.createElement('ul')
+
+  styleElement.textContent = STYLE
+  backdropElement.className = 'backdrop'
+  pickerElement.className = 'picker'
+  inputElement.placeholder = 'Copy as…'
+  inputElement.setAttribute('aria-label', 'Filter converters')
+  listElement.setAttribute('role', 'listbox')
+
+  const listItemElements = converterNames.map((converterName, index) => {
+    const listItemElement = document.createElement('li')
+    listItemElement.setAttribute('role', 'option')
+    listItemElement.textContent = converterName
+    listItemElement.dataset.index = index.toString()
+    return listItemElement
+  })
+
+  listElement.append(...listItemElements)
+  pickerElement.append(inputElement, listElement)
+  backdropElement.append(pickerElement)
+  shadowRoot.append(styleElement, backdropElement)
+  document.documentElement.append(hostElement)
+
+  return new Promise((resolve) => {
+    /**
+     * Returns the visible items.
+     *
+     * @returns {HTMLLIElement[]}
+     */
+    function getVisibleItems() {
+      return listItemElements.filter((listItemElement) => !listItemElement.hidden)
+    }
+
+    /**
+     * Selects the specified item.
+     *
+     * @param {?HTMLLIElement} selectedItemElement
+     * @returns {void}
+     */
+    function selectItem(selectedItemElement) {
+      for (const listItemElement of listItemElements) {
+        listItemElement.setAttribute('aria-selected', (listItemElement === selectedItemElement).toString())
+      }
+      selectedItemElement?.scrollIntoView({ block: 'nearest' })
+    }
+
+    /**
+     * Moves the selection by the specified offset, wrapping around.
+     *
+     * @param {number} offset
+     * @returns {void}
+     */
+    function moveSelection(offset) {
+      const visibleItems = getVisibleItems()
+      if (visibleItems.length === 0) {
+        return
+      }
+      const selectedIndex = visibleItems.findIndex((listItemElement) =>
+        listItemElement.getAttribute('aria-selected') === 'true'
+      )
+      const nextIndex = (selectedIndex + offset + visibleItems.length) % visibleItems.length
+      selectItem(visibleItems[nextIndex])
+    }
+
+    /**
+     * Closes the picker, restores the selection of the page, and resolves with the specified index.
+     *
+     * @param {?number} converterIndex
+     * @returns {void}
+     */
+    function close(converterIndex) {
+      hostElement.remove()
+      activeElement?.focus?.({ preventScroll: true })
+      selection.removeAllRanges()
+      for (const range of ranges) {
+        selection.addRange(range)
+      }
+      resolve(converterIndex)
+    }
+
+    /**
+     * Closes the picker with the selected converter, if any.
+     *
+     * @returns {void}
+     */
+    function confirm() {
+      const selectedItemElement = listItemElements.find((listItemElement) =>
+        !listItemElement.hidden && listItemElement.getAttribute('aria-selected') === 'true'
+      )
+      if (selectedItemElement) {
+        close(parseInt(selectedItemElement.dataset.index, 10))
+      }
+    }
+
+    inputElement.addEventListener('input', () => {
+      const query = inputElement.value.trim().toLowerCase()
+      for (const listItemElement of listItemElements) {
+        listItemElement.hidden = !listItemElement.textContent.toLowerCase().includes(query)
+      }
+      selectItem(getVisibleItems()[0] ?? null)
+    })
+
+    inputElement.addEventListener('keydown', (keyboardEvent) => {
+      switch (keyboardEvent.key) {
+        case 'ArrowDown':
+          moveSelection(1)
+          break
+
+        case 'ArrowUp':
+          moveSelection(-1)
+          break
+
+        case 'Enter':
+          confirm()
+          break
+
+        case 'Escape':
+          close(null)
+          break
+
+        default:
+          return
+      }
+      keyboardEvent.preventDefault()
+      keyboardEvent.stopPropagation()
+    })
+
+    listElement.addEventListener('click', (pointerEvent) => {
+      const listItemElement = pointerEvent.target.closest('li')
+      if (listItemElement) {
+        close(parseInt(listItemElement.dataset.index, 10))
+      }
+    })
+
+    backdropElement.addEventListener('click', (pointerEvent) => {
+      if (pointerEvent.target === backdropElement) {
+        close(null)
+      }
+    })
+
+    selectItem(listItemElements[0] ?? null)
+    inputElement.focus()
+  })
+}
@@ -0,0 +1,246 @@
+// This module provides the functionality to pick an element in webpages,
+// by highlighting the element under the pointer—to copy a specific table
+// or code block without selecting it.
+//
+// The picker is injected in webpages, and must therefore be self-contained.
+// It is rendered in a closed shadow root, so that page styles do not apply.
+//
+// Shadow DOM: https://developer.mozilla.org/en-US/docs/Web/API/Web_components/Using_shadow_DOM
+
+/**
+ * Shows the element picker, and returns whether an element was picked.
+ *
+ * The picked element is marked with the `data-pandoc-picked` attribute,
+ * so that it can be captured afterwards.
+ *
+ * - Move the pointer to highlight an element.
+ * - `ArrowUp` expands the highlight to the parent element.
+ * - `ArrowDown` shrinks the highlight back to the child element.
+ * - `Enter` or a click picks the highlighted element.
+ * - `Escape` cancels.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @returns {Promise<boolean>}
+ */
+export function pickElement() {
+  const STYLE = `
+    :host {
+      all: initial;
+    }
+
+    .highlight {
+      position: fixed;
+      z-index: 2147483647;
+      box-sizing: border-box;
+      border: 2px solid Highlight;
+      background-color: color-mix(in srgb, Highlight 20%, transparent);
+      pointer-events: none;
+    }
+
+    .label {
+      position: fixed;
+      z-index: 2147483647;
+      inset-block-end: 8px;
+      inset-inline-start: 50%;
+      translate: -50%;
+      padding: 4px 8px;
+      border-radius: 4px;
+      background-color: Canvas;
+      color: CanvasText;
+      box-shadow: 0 2px 8px rgb(0 0 0 / 35%);
+      color-scheme: light dark;
+      font-family: system-ui;
+      font-size: 12px;
+      pointer-events: none;
+    }
+
+    kbd {
+      font-family: ui-monospace, monospace;
+    }
+  `
+
+  for (const element of document.querySelectorAll('[data-pandoc-picked]')) {
+    element.removeAttribute('data-pandoc-picked')
+  }
+
+  const hostElement = document.createElement('div')
+  const shadowRoot = hostElement.attachShadow({ mode: 'closed' })
+  const styleElement = document.createElement('style')
+  const highlightElement = document.createElement('div')
+  const labelElement = document.createElement('div')
+  const elementNameElement = document.createElement('strong')
+
+  styleElement.textContent = STYLE
+  highlightElement.className = 'highlight'
+  highlightElement.hidden = true
+  labelElement.className = 'label'
+  labelElement.append(
+    elementNameElement,
+    ' · ',
+    Object.assign(document.createElement('kbd'), { textContent: '↑' }),
+    ' parent · ',
+    Object.assign(document.createElement('kbd'), { textContent: '↓' }),
+    ' child · ',
+    Object.assign(document.createElement('kbd'), { textContent: 'Enter' }),
+    ' copy · ',
+    Object.assign(document.createElement('kbd'), { textContent: 'Esc' }),
+    ' cancel'
+  )
+  elementNameElement.textContent = 'Point to an element'
+  shadowRoot.append(styleElement, highlightElement, labelElement)
+  document.documentElement.append(hostElement)
+
+  return new Promise((resolve) => {
+    /**
+     * The highlighted element, if any.
+     *
+     * @type {?Element}
+     */
+    let highlightedElement = null
+
+    /**
+     * The child elements the highlight was expanded from, to shrink it back.
+     *
+     * @type {Element[]}
+     */
+    let expandedElements = []
+
+    /**
+     * Returns a short description of the specified element—e.g., “table.data”.
+     *
+     * @param {Element} element
+     * @returns {string}
+     */
+    function describeElement(element) {
+      const tagName = element.tagName.toLowerCase()
+      if (element.id) {
+        return `${tagName}#${element.id}`
+      }
+      const className = Array.from(element.classList).slice(0, 2).join('.')
+      return className ? `${tagName}.${className}` : tagName
+    }
+
+    /**
+     * Highlights the specified element.
+     *
+     * @param {?Element} element
+     * @returns {void}
+     */
+    function setHighlightedElement(element) {
+      highlightedElement = element
+      if (element === null) {
+        highlightElement.hidden = true
+        elementNameElement.textContent = 'Point to an element'
+        return
+      }
+      const rect = element.getBoundingClientRect()
+      Object.assign(highlightElement.style, {
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      })
+      highlightElement.hidden = false
+      elementNameElement.textContent = describeElement(element)
+    }
+
+    /**
+     * Closes the picker, marks the highlighted element when picked, and resolves.
+     *
+     * @param {boolean} isPicked
+     * @returns {void}
+     */
+    function close(isPicked) {
+      hostElement.remove()
+      window.removeEventListener('pointermove', onPointerMove, true)
+      window.removeEventListener('click', onClick, true)
+      window.removeEventListener('keydown', onKeyDown, true)
+      window.removeEventListener('scroll', onScroll, true)
+      if (isPicked && highlightedElement) {
+        highlightedElement.setAttribute('data-pandoc-picked', '')
+      }
+      resolve(isPicked && highlightedElement !== null)
+    }
+
+    /**
+     * Highlights the element under the pointer.
+     *
+     * @param {PointerEvent} pointerEvent
+     * @returns {void}
+     */
+    function onPointerMove(pointerEvent) {
+      const element = document.elementFromPoint(pointerEvent.clientX, pointerEvent.clientY)
+      if (element !== null && element !== highlightedElement && !expandedElements.includes(element)) {
+        expandedElements = []
+        setHighlightedElement(element)
+      }
+    }
+
+    /**
+     * Picks the highlighted element, without following links.
+     *
+     * @param {PointerEvent} pointerEvent
+     * @returns {void}
+     */
+    function onClick(pointerEvent) {
+      pointerEvent.preventDefault()
+      pointerEvent.stopPropagation()
+      close(true)
+    }
+
+    /**
+     * Handles the picker keys.
+     *
+     * @param {KeyboardEvent} keyboardEvent
+     * @returns {void}
+     */
+    function onKeyDown(keyboardEvent) {
+      switch (keyboardEvent.key) {
+        case 'ArrowUp': {
+          const parentElement = highlightedElement?.parentElement
+          if (parentElement && parentElement !== document.documentElement) {
+            expandedElements.push(highlightedElement)
+            setHighlightedElement(parentElement)
+          }
+          break
+        }
+
+        case 'ArrowDown': {
+          const childElement = expandedElements.pop() ?? highlightedElement?.firstElementChild
+          if (childElement) {
+            setHighlightedElement(childElement)
+          }
+          break
+        }
+
+        case 'Enter':
+          close(true)
+          break
+
+        case 'Escape':
+          close(false)
+          break
+
+        default:
+          return
+      }
+      keyboardEvent.preventDefault()
+      keyboardEvent.stopPropagation()
+    }
+
+    /**
+     * Keeps the highlight on the highlighted element when scrolling.
+     *
+     * @returns {void}
+     */
+    function onScroll() {
+      setHighlightedElement(highlightedElement)
+    }
+
+    window.addEventListener('pointermove', onPointerMove, true)
+    window.addEventListener('click', onClick, true)
+    window.addEventListener('keydown', onKeyDown, true)
+    window.addEventListener('scroll', onScroll, true)
+  })
+}
@@ -0,0 +1,190 @@
+// This module provides the functionality to report conversion failures,
+// using notifications, the action badge and a log of recent errors.
+//
+// Action badge: https://developer.chrome.com/docs/extensions/reference/api/action#badge
+
+/**
+ * @typedef {object} ErrorLogEntry
+ * @property {string} date - The ISO date of the failure.
+ * @property {string} converter - The name of the converter.
+ * @property {?number} status - The exit code of the process, if any.
+ * @property {string} message - The error message.
+ * @property {?string} url - The URL of the page.
+ */
+
+import { showNotification } from './notifications.js'
+
+const MAX_LOG_ENTRIES = 20
+const BADGE_TEXT = '!'
+const BADGE_COLOR = '#d93025'
+
+/**
+ * The last pending write of the error log—writes are chained,
+ * so that concurrent failures do not overwrite each other’s entries.
+ *
+ * @type {Promise<void>}
+ */
+let pendingWrite = Promise.resolve()
+
+/**
+ * Reports the specified error to the user and records it in the error log.
+ *
+ * @param {Error} error
+ * @param {object} context
+ * @param {string} context.converterName
+ * @param {chrome.tabs.Tab} context.tab
+ * @returns {Promise<void>}
+ */
+export async function reportError(error, { converterName, tab }) {
+  /**
+   * @type {ErrorLogEntry}
+   */
+  const entry = {
+    date: new Date().toISOString(),
+    converter: converterName,
+    status: error.status ?? null,
+    message: error.message,
+    url: tab.url ?? null,
+  }
+
+  console.error(error)
+
+  await Promise.all([
+    appendErrorLogEntry(entry),
+    setErrorBadge(tab.id),
+    showErrorNotification(entry),
+  ])
+}
+
+/**
+ * Records the specified errors of invalid options in the error log—
+ * e.g., options edited by hand, or synced from a newer version.
+ *
+ * Options are validated each time the service worker starts,
+ * so the errors are not recorded again when they are the most recent entry.
+ *
+ * @param {string[]} errors
+ * @returns {Promise<void>}
+ */
+export async function reportInvalidOptions(errors) {
+  /**
+   * @type {ErrorLogEntry}
+   */
+  const entry = {
+    date: new Date().toISOString(),
+    converter: 'Options',
+    status: null,
+    message: `Invalid options were ignored:\n${errors.join('\n')}`,
+    url: null,
+  }
+
+  console.error(entry.message)
+
+  await updateErrorLog((errorLog) => {
+    const [lastEntry] = errorLog
+    return lastEntry?.converter === entry.converter && lastEntry.message === entry.message
+      ? errorLog
+      : [entry, ...errorLog].slice(0, MAX_LOG_ENTRIES)
+  })
+}
+
+/**
+ * Returns the recent errors, most recent first.
+ *
+ * @returns {Promise<ErrorLogEntry[]>}
+ */
+export async function getRecentErrors() {
+  const { errorLog = [] } = await chrome.storage.local.get('errorLog')
+  return errorLog
+}
+
+/**
+ * Clears the error log, and the error badge in every tab.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearErrors() {
+  const tabs = await chrome.tabs.query({})
+  await Promise.all([
+    updateErrorLog(() => []),
+    ...tabs.map((tab) => clearErrorBadge(tab.id)),
+  ])
+}
+
+/**
+ * Clears the error badge in the specified tab.
+ *
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+export async function clearErrorBadge(tabId) {
+  await chrome.action.setBadgeText({
+    tabId,
+    text: ''
+  })
+}
+
+/**
+ * Adds an entry to the error log, discarding the oldest entries.
+ *
+ * @param {ErrorLogEntry} entry
+ * @returns {Promise<void>}
+ */
+async function appendErrorLogEntry(entry) {
+  await updateErrorLog((errorLog) =>
+    [entry, ...errorLog].slice(0, MAX_LOG_ENTRIES)
+  )
+}
+
+/**
+ * Replaces the error log with the result of the specified function,
+ * once the pending writes are done.
+ *
+ * @param {(errorLog: ErrorLogEntry[]) => ErrorLogEntry[]} update
+ * @returns {Promise<void>}
+ */
+function updateErrorLog(update) {
+  const write = pendingWrite.then(async () => {
+    const errorLog = await getRecentErrors()
+    await chrome.storage.local.set({
+      errorLog: update(errorLog)
+    })
+  })
+  // Keep the chain going after a failed write.
+  pendingWrite = write.catch(() => {})
+  return write
+}
+
+/**
+ * Sets a red badge on the action in the specified tab.
+ *
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ */
+async function setErrorBadge(tabId) {
+  await Promise.all([
+    chrome.action.setBadgeText({
+      tabId,
+      text: BADGE_TEXT
+    }),
+    chrome.action.setBadgeBackgroundColor({
+      tabId,
+      color: BADGE_COLOR
+    }),
+  ])
+}
+
+/**
+ * Shows a system notification for the specified error.
+ *
+ * @param {ErrorLogEntry} entry
+ * @returns {Promise<void>}
+ */
+async function showErrorNotification(entry) {
+  await showNotification(
+    entry.status === null
+      ? `Copy as ${entry.converter} failed`
+      : `Copy as ${entry.converter} failed (exit code ${entry.status})`,
+    entry.message
+  )
+}
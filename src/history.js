@@ -0,0 +1,160 @@
+// This module provides the functionality to record conversions in a history,
+// so that their output can be copied again, or their input converted again.
+//
+// The history is kept in the local storage of the extension, and capped
+// both in number of entries and in size—oldest entries are discarded first.
+//
+// Local storage: https://developer.chrome.com/docs/extensions/reference/api/storage#property-local
+
+/**
+ * @typedef {object} HistoryEntry
+ * @property {string} id - The unique identifier of the entry.
+ * @property {string} date - The ISO date of the conversion.
+ * @property {string} converter - The name of the converter.
+ * @property {string} url - The URL of the page—empty for documents combining several tabs.
+ * @property {string} title - The title of the page.
+ * @property {number} inputSize - The length of the captured HTML.
+ * @property {string} input - The captured HTML.
+ * @property {string} output - The converted text.
+ * @property {PageMetadata} pageMetadata - The metadata of the page, to convert the input again.
+ */
+
+const MAX_HISTORY_ENTRIES = 100
+
+// Keep well below the 10 MB quota of the local storage,
+// which is shared with the error log.
+const MAX_HISTORY_SIZE = 4_000_000
+const MAX_ENTRY_SIZE = 1_000_000
+
+/**
+ * The last pending write of the history—writes are chained,
+ * so that overlapping conversions do not overwrite each other’s entries.
+ *
+ * @type {Promise<void>}
+ */
+let pendingWrite = Promise.resolve()
+
+/**
+ * Records a conversion in the history.
+ * Conversions larger than the size of a single entry are not recorded.
+ *
+ * Failures—e.g., exceeding the storage quota—are logged, and do not fail the conversion,
+ * which has already been delivered.
+ *
+ * @param {object} conversion
+ * @param {string} conversion.converterName
+ * @param {string} conversion.input
+ * @param {string} conversion.output
+ * @param {PageMetadata} conversion.pageMetadata
+ * @returns {Promise<?HistoryEntry>}
+ */
+export async function recordConversion({ converterName, input, output, pageMetadata }) {
+  if (input.length + output.length > MAX_ENTRY_SIZE) {
+    return null
+  }
+
+  /**
+   * @type {HistoryEntry}
+   */
+  const entry = {
+    id: crypto.randomUUID(),
+    date: new Date().toISOString(),
+    converter: converterName,
+    url: pageMetadata.url,
+    title: pageMetadata.title,
+    inputSize: input.length,
+    input,
+    output,
+    pageMetadata
+  }
+
+  try {
+    await updateHistory((history) => {
+      const newHistory = [entry]
+      let size = getEntrySize(entry)
+      for (const otherEntry of history.slice(0, MAX_HISTORY_ENTRIES - 1)) {
+        size += getEntrySize(otherEntry)
+        if (size > MAX_HISTORY_SIZE) {
+          break
+        }
+        newHistory.push(otherEntry)
+      }
+      return newHistory
+    })
+  } catch (error) {
+    console.error('Could not record the conversion in the history:', error)
+    return null
+  }
+  return entry
+}
+
+/**
+ * Returns the history, most recent first.
+ *
+ * @returns {Promise<HistoryEntry[]>}
+ */
+export async function getHistory() {
+  const { history = [] } = await chrome.storage.local.get('history')
+  return history
+}
+
+/**
+ * Returns the specified history entry, if any.
+ *
+ * @param {string} entryId
+ * @returns {Promise<?HistoryEntry>}
+ */
+export async function getHistoryEntry(entryId) {
+  const history = await getHistory()
+  return history.find((entry) => entry.id === entryId) ?? null
+}
+
+/**
+ * Removes the specified entries from the history.
+ *
+ * @param {string[]} entryIds
+ * @returns {Promise<void>}
+ */
+export async function deleteHistoryEntries(entryIds) {
+  await updateHistory((history) =>
+    history.filter((entry) => !entryIds.includes(entry.id))
+  )
+}
+
+/**
+ * Clears the history.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearHistory() {
+  await updateHistory(() => [])
+}
+
+/**
+ * Replaces the history with the result of the specified function,
+ * once the pending writes are done.
+ *
+ * @param {(history: HistoryEntry[]) => HistoryEntry[]} update
+ * @returns {Promise<void>}
+ */
+function updateHistory(update) {
+  const write = pendingWrite.then(async () => {
+    const history = await getHistory()
+    await chrome.storage.local.set({
+      history: update(history)
+    })
+  })
+  // Keep the chain going after a failed write.
+  pendingWrite = write.catch(() => {})
+  return write
+}
+
+/**
+ * Returns the approximate size of the specified entry.
+ *
+ * @param {HistoryEntry} entry
+ * @returns {number}
+ */
+function getEntrySize(entry) {
+  return entry.input.length + entry.output.length
+}
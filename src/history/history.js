@@ -0,0 +1,355 @@
+// This module contains the “History” page actions to search past conversions,
+// copy their output again, or convert their input again with another converter.
+//
+// Each entry is rendered from the “history_entry_template” template element.
+
+const port = chrome.runtime.connect({
+  name: 'history'
+})
+
+const buttonElements = document.querySelectorAll('header > button')
+const searchInputElement = document.getElementById('search_input')
+const statusElement = document.getElementById('status')
+const historyListElement = document.getElementById('history_list')
+const historyPlaceholderElement = document.getElementById('history_placeholder')
+const historyEntryTemplateElement = document.getElementById('history_entry_template')
+
+/**
+ * @type {HistoryEntry[]}
+ */
+let history = []
+
+/**
+ * @type {Converter[]}
+ */
+let converters = []
+
+let lastRerunId = 0
+
+for (const buttonElement of buttonElements) {
+  const actionName = buttonElement.dataset.action
+
+  switch (actionName) {
+    case 'exportHistory':
+      buttonElement.addEventListener('click', exportHistory)
+      break
+
+    case 'clearHistory':
+      buttonElement.addEventListener('click', clearHistory)
+      break
+
+    default:
+      console.error(
+        'Unknown action: "%s"',
+        actionName
+      )
+  }
+}
+
+historyListElement.addEventListener('click', (pointerEvent) => {
+  const buttonElement = pointerEvent.target.closest('button[data-action]')
+  if (buttonElement === null) {
+    return
+  }
+  const entryElement = buttonElement.closest('.history-entry')
+  const entry = history.find((entry) => entry.id === entryElement.dataset.id)
+
+  switch (buttonElement.dataset.action) {
+    case 'copyOutput':
+      copyOutput(entry)
+      break
+
+    case 'rerunConversion':
+      rerunConversion(entry, parseInt(entryElement.querySelector('.converter-select').value, 10))
+      break
+
+    case 'deleteEntry':
+      sendMessage({
+        type: 'deleteEntries',
+        entryIds: [entry.id]
+      })
+      break
+
+    default:
+      console.error(
+        'Unknown action: "%s"',
+        buttonElement.dataset.action
+      )
+  }
+})
+
+searchInputElement.addEventListener('input', filterHistory)
+
+port.onMessage.addListener(onMessage)
+
+Promise.all([
+  chrome.storage.sync.get('converters'),
+  chrome.storage.local.get('history'),
+]).then(([options, localData]) => {
+  converters = options.converters ?? []
+  history = localData.history ?? []
+  renderHistory()
+})
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  switch (areaName) {
+    case 'sync':
+      if ('converters' in changes) {
+        converters = changes.converters.newValue ?? []
+        renderHistory()
+      }
+      break
+
+    case 'local':
+      if ('history' in changes) {
+        history = changes.history.newValue ?? []
+        renderHistory()
+      }
+      break
+  }
+})
+
+/**
+ * Handles message by using a discriminator field. Each message has a `type` field,
+ * and the rest of the fields, and their meaning, depend on its value.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @returns {void}
+ */
+function onMessage(message) {
+  switch (message.type) {
+    case 'keepAlive':
+      break
+
+    case 'rerunResult':
+      // Ignore results of previous conversions.
+      if (message.rerunId === lastRerunId) {
+        onRerunResult(message.converterName, message.output, message.error)
+      }
+      break
+
+    case 'error':
+      setStatus(message.message, true)
+      break
+
+    default:
+      console.error(
+        'Unknown message: "%s"',
+        message.type
+      )
+  }
+}
+
+/**
+ * Sends a single message to the service worker.
+ *
+ * @param {any} message
+ * @returns {void}
+ */
+function sendMessage(message) {
+  port.postMessage(message)
+}
+
+/**
+ * Renders the history entries.
+ *
+ * @returns {void}
+ */
+function renderHistory() {
+  const entryElements = history.map(createEntryElement)
+  historyListElement.replaceChildren(...entryElements)
+  filterHistory()
+}
+
+/**
+ * Creates a history entry element from the template.
+ *
+ * @param {HistoryEntry} entry
+ * @returns {HTMLLIElement}
+ */
+function createEntryElement(entry) {
+  const documentFragment = historyEntryTemplateElement.content.cloneNode(true)
+  const entryElement = documentFragment.querySelector('.history-entry')
+  const titleElement = entryElement.querySelector('.history-entry-title')
+  const detailsElement = entryElement.querySelector('.history-entry-details')
+  const outputElement = entryElement.querySelector('.history-entry-output')
+  const converterSelectElement = entryElement.querySelector('.converter-select')
+
+  entryElement.dataset.id = entry.id
+  // Combined documents of several tabs have no URL.
+  if (entry.url) {
+    titleElement.href = entry.url
+  }
+  titleElement.textContent = entry.title || entry.url
+  detailsElement.textContent = [
+    new Date(entry.date).toLocaleString(),
+    entry.converter,
+    formatSize(entry.inputSize),
+  ].join(' · ')
+  outputElement.textContent = entry.output
+
+  const optionElements = converters.map((converter, index) => {
+    const optionElement = document.createElement('option')
+    optionElement.value = index.toString()
+    optionElement.textContent = converter.name
+    optionElement.selected = converter.name === entry.converter
+    return optionElement
+  })
+  converterSelectElement.replaceChildren(...optionElements)
+
+  return entryElement
+}
+
+/**
+ * Hides the entries not matching the search query—
+ * by title, URL, converter name or output.
+ *
+ * @returns {void}
+ */
+function filterHistory() {
+  const query = searchInputElement.value.trim().toLowerCase()
+  let visibleCount = 0
+  for (const [index, entryElement] of Array.from(historyListElement.children).entries()) {
+    const entry = history[index]
+    entryElement.hidden = ![entry.title, entry.url, entry.converter, entry.output].some((text) =>
+      text.toLowerCase().includes(query)
+    )
+    if (!entryElement.hidden) {
+      visibleCount++
+    }
+  }
+  historyPlaceholderElement.textContent = history.length === 0
+    ? 'No conversions yet.'
+    : 'No matching conversions.'
+  historyPlaceholderElement.hidden = visibleCount > 0
+}
+
+/**
+ * Copies the output of the specified entry to the system clipboard.
+ *
+ * @param {HistoryEntry} entry
+ * @returns {Promise<void>}
+ */
+async function copyOutput(entry) {
+  await navigator.clipboard.writeText(entry.output)
+  setStatus('Copied!')
+}
+
+/**
+ * Converts the input of the specified entry again with the given converter.
+ * The service worker records the conversion as a new entry.
+ *
+ * @param {HistoryEntry} entry
+ * @param {number} converterIndex
+ * @returns {void}
+ */
+function rerunConversion(entry, converterIndex) {
+  const converter = converters[converterIndex]
+  if (converter === undefined) {
+    return
+  }
+  setStatus(`Converting with ${converter.name}…`)
+  sendMessage({
+    type: 'rerunConversion',
+    rerunId: ++lastRerunId,
+    entryId: entry.id,
+    converter
+  })
+}
+
+/**
+ * Handles the result of a conversion run again, by copying its output.
+ *
+ * @param {string} converterName
+ * @param {?string} output
+ * @param {?string} error
+ * @returns {Promise<void>}
+ */
+async function onRerunResult(converterName, output, error) {
+  if (error !== null) {
+    setStatus(`Copy as ${converterName} failed: ${error}`, true)
+    return
+  }
+  await navigator.clipboard.writeText(output)
+  setStatus(`Copied as ${converterName}!`)
+}
+
+/**
+ * Clears the history.
+ *
+ * @returns {void}
+ */
+function clearHistory() {
+  sendMessage({
+    type: 'clearHistory'
+  })
+}
+
+/**
+ * Exports the history.
+ *
+ * @returns {void}
+ */
+function exportHistory() {
+  const content = JSON.stringify(history, null, 2)
+  const dateString = getISODateString(new Date)
+  saveFile(content, `pandoc-history-${dateString}.json`, 'application/json')
+}
+
+/**
+ * Displays the specified status message.
+ *
+ * @param {string} message
+ * @param {boolean} [isFailure=false]
+ * @returns {void}
+ */
+function setStatus(message, isFailure = false) {
+  statusElement.textContent = message
+  statusElement.classList.toggle('failure', isFailure)
+}
+
+/**
+ * Returns a human-readable size, in characters.
+ *
+ * @param {number} size
+ * @returns {string}
+ */
+function formatSize(size) {
+  return size < 1000
+    ? `${size} characters`
+    : `${(size / 1000).toFixed(1)}k characters`
+}
+
+/**
+ * Saves file.
+ *
+ * @param {string} content
+ * @param {string} fileName
+ * @param {string} contentType
+ * @returns {void}
+ */
+function saveFile(content, fileName, contentType) {
+  const anchorElement = document.createElement('a')
+  const file = new Blob([content], {
+    type: contentType
+  })
+  const url = URL.createObjectURL(file)
+  anchorElement.href = url
+  anchorElement.download = fileName
+  anchorElement.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Returns the ISO date portion of the specified date.
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Date/toLocaleDateString
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+function getISODateString(date) {
+  return date.toLocaleDateString('en-CA')
+}
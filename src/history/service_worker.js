@@ -0,0 +1,122 @@
+// This module contains the service worker for the “History” page,
+// to search past conversions and convert them again.
+//
+// Service workers: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers
+// Long-lived connections: https://developer.chrome.com/docs/extensions/develop/concepts/messaging#connect
+
+import { CommandError, convert, getSiteConverter } from '../pandoc.js'
+import { getHistoryEntry, recordConversion, deleteHistoryEntries, clearHistory } from '../history.js'
+
+const KEEP_ALIVE_INTERVAL = 29000
+
+/**
+ * Handles a new connection when opening the “History” page.
+ *
+ * @param {chrome.runtime.Port} port
+ * @returns {void}
+ */
+function onConnect(port) {
+  const keepAliveIntervalId = setInterval(() => {
+    port.postMessage({
+      type: 'keepAlive'
+    })
+  }, KEEP_ALIVE_INTERVAL)
+  port.onDisconnect.addListener((port) => {
+    onDisconnect(port, keepAliveIntervalId)
+  })
+  port.onMessage.addListener(onMessage)
+}
+
+/**
+ * Handles disconnection by clearing the keep-alive interval.
+ *
+ * @param {chrome.runtime.Port} port
+ * @param {number} keepAliveIntervalId
+ * @returns {void}
+ */
+function onDisconnect(port, keepAliveIntervalId) {
+  clearInterval(keepAliveIntervalId)
+}
+
+/**
+ * Handles message by using a discriminator field. Each message has a `type` field,
+ * and the rest of the fields, and their meaning, depend on its value.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @param {chrome.runtime.Port} port
+ * @returns {void}
+ */
+function onMessage(message, port) {
+  switch (message.type) {
+    case 'rerunConversion':
+      rerunConversion(message.rerunId, message.entryId, message.converter, port)
+      break
+
+    case 'deleteEntries':
+      deleteHistoryEntries(message.entryIds)
+      break
+
+    case 'clearHistory':
+      clearHistory()
+      break
+
+    default:
+      port.postMessage({
+        type: 'error',
+        message: 'Unknown request'
+      })
+  }
+}
+
+/**
+ * Converts the input of the specified history entry again with the given converter,
+ * records the conversion, and replies with its output or error.
+ *
+ * @param {number} rerunId
+ * @param {string} entryId
+ * @param {Converter} converter
+ * @param {chrome.runtime.Port} port
+ * @returns {Promise<void>}
+ */
+async function rerunConversion(rerunId, entryId, converter, port) {
+  const entry = await getHistoryEntry(entryId)
+  if (entry === null) {
+    port.postMessage({
+      type: 'error',
+      message: 'This conversion is no longer in the history.'
+    })
+    return
+  }
+  try {
+    const siteConverter = await getSiteConverter(converter, entry.pageMetadata.url)
+    const commandResult = await convert(siteConverter, entry.input, entry.pageMetadata)
+    if (commandResult.status !== 0) {
+      throw new CommandError(converter, commandResult)
+    }
+    await recordConversion({
+      converterName: converter.name,
+      input: entry.input,
+      output: commandResult.output,
+      pageMetadata: entry.pageMetadata
+    })
+    port.postMessage({
+      type: 'rerunResult',
+      rerunId,
+      converterName: converter.name,
+      output: commandResult.output,
+      error: null
+    })
+  } catch (error) {
+    port.postMessage({
+      type: 'rerunResult',
+      rerunId,
+      converterName: converter.name,
+      output: null,
+      error: error.message
+    })
+  }
+}
+
+export default { onConnect }
@@ -0,0 +1,19 @@
+// This module provides the functionality to show system notifications.
+//
+// Notifications: https://developer.chrome.com/docs/extensions/reference/api/notifications
+
+/**
+ * Shows a system notification with the specified title and message.
+ *
+ * @param {string} title
+ * @param {string} message
+ * @returns {Promise<void>}
+ */
+export async function showNotification(title, message) {
+  await chrome.notifications.create({
+    type: 'basic',
+    iconUrl: chrome.runtime.getURL('assets/pandoc-logo@128px.png'),
+    title,
+    message
+  })
+}
@@ -0,0 +1,599 @@
+// This module contains the converter editor of the “Options” page.
+//
+// Each converter is rendered from the “converter_template” template element,
+// and the list of converters is read back from the form fields when saving.
+//
+// Drag and drop: https://developer.mozilla.org/en-US/docs/Web/API/HTML_Drag_and_Drop_API
+
+import '../../@types/converter.js'
+import { CONVERTER_CONTEXTS } from '../context_menu.js'
+
+/**
+ * @typedef {object} TestResult
+ * @property {?number} status - The exit code of the process, or `null` if the command could not run.
+ * @property {string} output - Captured *stdout* stream.
+ * @property {string} error - Captured *stderr* stream, or the reason the command could not run.
+ * @property {FailedStep} [failedStep] - The step that failed, for converters with several steps.
+ * @property {number} duration - The duration of the conversion, in milliseconds.
+ */
+
+const converterListElement = document.getElementById('converter_list')
+const converterTemplateElement = document.getElementById('converter_template')
+const paramTemplateElement = document.getElementById('param_template')
+const stepTemplateElement = document.getElementById('step_template')
+const converterNamesElement = document.getElementById('converter_names')
+
+/**
+ * The converter element being dragged, if any.
+ *
+ * @type {?HTMLLIElement}
+ */
+let draggedConverterElement = null
+
+converterListElement.addEventListener('click', onConverterAction)
+converterListElement.addEventListener('input', onConverterInput)
+converterListElement.addEventListener('pointerdown', onDragHandlePointerDown)
+converterListElement.addEventListener('pointerup', onDragHandlePointerUp)
+converterListElement.addEventListener('dragstart', onDragStart)
+converterListElement.addEventListener('dragover', onDragOver)
+converterListElement.addEventListener('dragend', onDragEnd)
+
+/**
+ * Renders the specified converters, replacing the current ones.
+ *
+ * @param {Converter[]} converters
+ * @returns {void}
+ */
+export function renderConverters(converters) {
+  converterListElement.replaceChildren(
+    ...converters.map(createConverterElement)
+  )
+  updateConverterLegends()
+}
+
+/**
+ * Returns the converters from the form fields.
+ *
+ * @returns {Converter[]}
+ */
+export function readConverters() {
+  return Array.from(converterListElement.children, readConverterElement)
+}
+
+/**
+ * Appends a new empty converter.
+ *
+ * @returns {void}
+ */
+export function addConverter() {
+  const converterElement = createConverterElement({
+    name: '',
+    command: ''
+  })
+  converterListElement.append(converterElement)
+  updateConverterLegends()
+  getField(converterElement, 'name').focus()
+}
+
+/**
+ * Renders the result of a converter test.
+ *
+ * @param {HTMLLIElement} converterElement
+ * @param {?TestResult} testResult - The test result, or `null` while the test is running.
+ * @returns {void}
+ */
+export function renderTestResult(converterElement, testResult) {
+  const testResultElement = converterElement.querySelector('.test-result')
+  const testStatusElement = testResultElement.querySelector('.test-status')
+  const testOutputElement = testResultElement.querySelector('.test-output')
+  const testErrorElement = testResultElement.querySelector('.test-error')
+  testResultElement.hidden = false
+  if (testResult === null) {
+    testStatusElement.textContent = 'Running…'
+    testStatusElement.classList.remove('failure')
+    testOutputElement.textContent = ''
+    testErrorElement.textContent = ''
+    return
+  }
+  const duration = `${Math.round(testResult.duration)} ms`
+  const failedStep = testResult.failedStep
+    ? `Step ${testResult.failedStep.number} (${testResult.failedStep.command}) failed · `
+    : ''
+  testStatusElement.textContent = testResult.status === null
+    ? `Could not run the command · ${duration}`
+    : `${failedStep}Exit code ${testResult.status} · ${duration}`
+  testStatusElement.classList.toggle('failure', testResult.status !== 0)
+  testOutputElement.textContent = testResult.output
+  testErrorElement.textContent = testResult.error
+}
+
+/**
+ * Creates a converter element from the template.
+ *
+ * @param {Converter} converter
+ * @returns {HTMLLIElement}
+ */
+function createConverterElement(converter) {
+  const documentFragment = converterTemplateElement.content.cloneNode(true)
+  const converterElement = documentFragment.firstElementChild
+  getField(converterElement, 'name').value = converter.name
+  getField(converterElement, 'type').value = converter.type ?? 'command'
+  getField(converterElement, 'command').value = converter.command
+  getField(converterElement, 'args').value = formatArgs(converter.args ?? [])
+  converterElement.querySelector('.param-list').replaceChildren(
+    ...(converter.params ?? []).map(createParamElement)
+  )
+  converterElement.querySelector('.step-list').replaceChildren(
+    ...(converter.steps ?? []).map(createStepElement)
+  )
+  getField(converterElement, 'env').value = formatEnv(converter.env ?? {})
+  getField(converterElement, 'dir').value = converter.dir ?? ''
+  getField(converterElement, 'timeout').value = converter.timeout?.toString() ?? ''
+  getField(converterElement, 'fallback').value = converter.fallback ?? 'auto'
+  getField(converterElement, 'pageContent').value = converter.pageContent ?? 'document'
+  getField(converterElement, 'destination').value = converter.destination ?? 'clipboard'
+  getField(converterElement, 'filename').value = converter.filename ?? ''
+  getField(converterElement, 'extension').value = converter.extension ?? ''
+  getField(converterElement, 'htmlConverter').value = converter.htmlConverter ?? ''
+  getField(converterElement, 'images').value = converter.images ?? 'link'
+  getField(converterElement, 'maxImageSize').value = converter.maxImageSize?.toString() ?? ''
+  getField(converterElement, 'skipImages').value = formatArgs(converter.skipImages ?? [])
+  getField(converterElement, 'metadata').checked = converter.metadata ?? false
+  getField(converterElement, 'preview').checked = converter.preview ?? false
+  getField(converterElement, 'group').value = converter.group ?? ''
+  for (const checkboxElement of converterElement.querySelectorAll('[name="contexts"]')) {
+    checkboxElement.checked = (converter.contexts ?? CONVERTER_CONTEXTS).includes(checkboxElement.value)
+  }
+  getField(converterElement, 'separator').checked = converter.separator ?? false
+  return converterElement
+}
+
+/**
+ * Creates a parameter element from the template.
+ *
+ * @param {ConverterParameter} param
+ * @returns {HTMLLIElement}
+ */
+function createParamElement(param) {
+  const documentFragment = paramTemplateElement.content.cloneNode(true)
+  const paramElement = documentFragment.firstElementChild
+  getField(paramElement, 'paramName').value = param.name
+  getField(paramElement, 'paramLabel').value = param.label ?? ''
+  getField(paramElement, 'paramType').value = param.type
+  getField(paramElement, 'paramOptions').value = formatArgs(param.options ?? [])
+  getField(paramElement, 'paramDefault').value = param.default?.toString() ?? ''
+  return paramElement
+}
+
+/**
+ * Returns the parameter from the form fields of the specified element.
+ * Empty optional fields are omitted, and the default value is read according to the type.
+ *
+ * @param {HTMLLIElement} paramElement
+ * @returns {ConverterParameter}
+ */
+function readParamElement(paramElement) {
+  const param = {
+    name: getField(paramElement, 'paramName').value.trim(),
+    type: getField(paramElement, 'paramType').value
+  }
+  const label = getField(paramElement, 'paramLabel').value.trim()
+  const options = parseArgs(getField(paramElement, 'paramOptions').value).map((line) => line.trim())
+  const defaultValue = getField(paramElement, 'paramDefault').value
+  if (label) {
+    param.label = label
+  }
+  if (param.type === 'enum') {
+    param.options = options
+  }
+  if (defaultValue.trim()) {
+    switch (param.type) {
+      case 'number':
+        param.default = Number(defaultValue)
+        break
+
+      case 'boolean':
+        param.default = defaultValue.trim() === 'true'
+        break
+
+      default:
+        param.default = defaultValue
+    }
+  }
+  return param
+}
+
+/**
+ * Creates a pipeline step element from the template.
+ *
+ * @param {PipelineStep} step
+ * @returns {HTMLLIElement}
+ */
+function createStepElement(step) {
+  const documentFragment = stepTemplateElement.content.cloneNode(true)
+  const stepElement = documentFragment.firstElementChild
+  getField(stepElement, 'stepCommand').value = step.command
+  getField(stepElement, 'stepArgs').value = formatArgs(step.args ?? [])
+  return stepElement
+}
+
+/**
+ * Returns the pipeline step from the form fields of the specified element.
+ * Empty arguments are omitted.
+ *
+ * @param {HTMLLIElement} stepElement
+ * @returns {PipelineStep}
+ */
+function readStepElement(stepElement) {
+  const step = {
+    command: getField(stepElement, 'stepCommand').value.trim()
+  }
+  const args = parseArgs(getField(stepElement, 'stepArgs').value)
+  if (args.length > 0) {
+    step.args = args
+  }
+  return step
+}
+
+/**
+ * Returns the converter from the form fields of the specified element.
+ * Empty optional fields are omitted.
+ *
+ * @param {HTMLLIElement} converterElement
+ * @returns {Converter}
+ */
+function readConverterElement(converterElement) {
+  const converter = {
+    name: getField(converterElement, 'name').value.trim(),
+    command: getField(converterElement, 'command').value.trim()
+  }
+  const type = getField(converterElement, 'type').value
+  const args = parseArgs(getField(converterElement, 'args').value)
+  const params = Array.from(converterElement.querySelector('.param-list').children, readParamElement)
+  const steps = Array.from(converterElement.querySelector('.step-list').children, readStepElement)
+  const env = parseEnv(getField(converterElement, 'env').value)
+  const dir = getField(converterElement, 'dir').value.trim()
+  const timeout = getField(converterElement, 'timeout').value.trim()
+  const fallback = getField(converterElement, 'fallback').value
+  const pageContent = getField(converterElement, 'pageContent').value
+  const destination = getField(converterElement, 'destination').value
+  const filename = getField(converterElement, 'filename').value.trim()
+  const extension = getField(converterElement, 'extension').value.trim()
+  const htmlConverter = getField(converterElement, 'htmlConverter').value.trim()
+  const images = getField(converterElement, 'images').value
+  const maxImageSize = getField(converterElement, 'maxImageSize').value.trim()
+  const skipImages = parseArgs(getField(converterElement, 'skipImages').value).map((line) => line.trim())
+  const metadata = getField(converterElement, 'metadata').checked
+  const preview = getField(converterElement, 'preview').checked
+  const group = getField(converterElement, 'group').value.trim()
+  const contexts = Array.from(converterElement.querySelectorAll('[name="contexts"]:checked'), (checkboxElement) => checkboxElement.value)
+  const separator = getField(converterElement, 'separator').checked
+  if (type !== 'command') {
+    converter.type = type
+  }
+  if (args.length > 0) {
+    converter.args = args
+  }
+  if (params.length > 0) {
+    converter.params = params
+  }
+  if (steps.length > 0) {
+    converter.steps = steps
+  }
+  if (Object.keys(env).length > 0) {
+    converter.env = env
+  }
+  if (dir) {
+    converter.dir = dir
+  }
+  if (timeout) {
+    converter.timeout = Number(timeout)
+  }
+  if (fallback !== 'auto') {
+    converter.fallback = fallback
+  }
+  if (pageContent !== 'document') {
+    converter.pageContent = pageContent
+  }
+  if (destination !== 'clipboard') {
+    converter.destination = destination
+  }
+  if (filename) {
+    converter.filename = filename
+  }
+  if (extension) {
+    converter.extension = extension
+  }
+  if (htmlConverter) {
+    converter.htmlConverter = htmlConverter
+  }
+  if (images !== 'link') {
+    converter.images = images
+  }
+  if (maxImageSize) {
+    converter.maxImageSize = Number(maxImageSize)
+  }
+  if (skipImages.length > 0) {
+    converter.skipImages = skipImages
+  }
+  if (metadata) {
+    converter.metadata = true
+  }
+  if (preview) {
+    converter.preview = true
+  }
+  if (group) {
+    converter.group = group
+  }
+  // Converters appear in every context by default.
+  if (contexts.length < CONVERTER_CONTEXTS.length) {
+    converter.contexts = contexts
+  }
+  if (separator) {
+    converter.separator = true
+  }
+  return converter
+}
+
+/**
+ * Returns the form field with the specified name.
+ *
+ * @param {HTMLElement} converterElement
+ * @param {string} name
+ * @returns {HTMLInputElement | HTMLTextAreaElement | HTMLSelectElement}
+ */
+function getField(converterElement, name) {
+  return converterElement.querySelector(`[name="${name}"]`)
+}
+
+/**
+ * Formats arguments, one argument per line.
+ *
+ * @param {string[]} args
+ * @returns {string}
+ */
+function formatArgs(args) {
+  return args.join('\n')
+}
+
+/**
+ * Parses arguments, one argument per line.
+ * Blank lines are ignored.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseArgs(text) {
+  return text.split('\n').filter((line) => line.trim())
+}
+
+/**
+ * Formats environment variables, one `NAME=value` pair per line.
+ * Variables to unset are written without a value.
+ *
+ * @param {Object<string, ?string>} env
+ * @returns {string}
+ */
+export function formatEnv(env) {
+  return Object.entries(env).map(([name, value]) =>
+    value === null ? name : `${name}=${value}`
+  ).join('\n')
+}
+
+/**
+ * Parses environment variables, one `NAME=value` pair per line.
+ * A name without a value unsets the variable.
+ *
+ * @param {string} text
+ * @returns {Object<string, ?string>}
+ */
+export function parseEnv(text) {
+  const env = {}
+  for (const line of text.split('\n')) {
+    if (line.trim() === '') {
+      continue
+    }
+    const separatorIndex = line.indexOf('=')
+    if (separatorIndex === -1) {
+      env[line.trim()] = null
+    } else {
+      env[line.slice(0, separatorIndex).trim()] = line.slice(separatorIndex + 1)
+    }
+  }
+  return env
+}
+
+/**
+ * Updates the legend of each converter with its name and position,
+ * and the suggestions of converter names.
+ * The first converter is used by the Pandoc toolbar button.
+ *
+ * @returns {void}
+ */
+function updateConverterLegends() {
+  const optionElements = []
+  for (const [index, converterElement] of Array.from(converterListElement.children).entries()) {
+    const name = getField(converterElement, 'name').value.trim() || 'Untitled converter'
+    converterElement.querySelector('legend').textContent = index === 0
+      ? `${name} (default)`
+      : name
+    const optionElement = document.createElement('option')
+    optionElement.value = name
+    optionElements.push(optionElement)
+  }
+  converterNamesElement.replaceChildren(...optionElements)
+}
+
+/**
+ * Handles the converter buttons—e.g., “Duplicate”, “Delete” or “Add step”.
+ *
+ * @param {PointerEvent} pointerEvent
+ * @returns {void}
+ */
+function onConverterAction(pointerEvent) {
+  const buttonElement = pointerEvent.target.closest('button[data-action]')
+  if (buttonElement === null) {
+    return
+  }
+  const converterElement = buttonElement.closest('li.converter')
+  const actionName = buttonElement.dataset.action
+
+  switch (actionName) {
+    case 'moveConverterUp':
+      converterElement.previousElementSibling?.before(converterElement)
+      break
+
+    case 'moveConverterDown':
+      converterElement.nextElementSibling?.after(converterElement)
+      break
+
+    case 'duplicateConverter': {
+      const converter = readConverterElement(converterElement)
+      converterElement.after(createConverterElement({
+        ...converter,
+        name: `${converter.name} (copy)`
+      }))
+      break
+    }
+
+    case 'deleteConverter':
+      converterElement.remove()
+      break
+
+    case 'addParam': {
+      const paramElement = createParamElement({
+        name: '',
+        type: 'enum'
+      })
+      converterElement.querySelector('.param-list').append(paramElement)
+      getField(paramElement, 'paramName').focus()
+      break
+    }
+
+    case 'deleteParam':
+      buttonElement.closest('li.param').remove()
+      break
+
+    case 'addStep': {
+      const stepElement = createStepElement({
+        command: ''
+      })
+      converterElement.querySelector('.step-list').append(stepElement)
+      getField(stepElement, 'stepCommand').focus()
+      break
+    }
+
+    case 'deleteStep':
+      buttonElement.closest('li.step').remove()
+      break
+
+    case 'testConverter':
+      converterElement.dispatchEvent(
+        new CustomEvent('testconverter', {
+          bubbles: true,
+          detail: readConverterElement(converterElement)
+        })
+      )
+      break
+
+    default:
+      console.error(
+        'Unknown action: "%s"',
+        actionName
+      )
+  }
+  updateConverterLegends()
+}
+
+/**
+ * Handles input by keeping the legends in sync with the names.
+ *
+ * @param {InputEvent} inputEvent
+ * @returns {void}
+ */
+function onConverterInput(inputEvent) {
+  if (inputEvent.target.name === 'name') {
+    updateConverterLegends()
+  }
+}
+
+/**
+ * Makes the converter draggable when grabbing its drag handle,
+ * so that text in the form fields can still be selected.
+ *
+ * @param {PointerEvent} pointerEvent
+ * @returns {void}
+ */
+function onDragHandlePointerDown(pointerEvent) {
+  if (pointerEvent.target.closest('.drag-handle')) {
+    pointerEvent.target.closest('li.converter').draggable = true
+  }
+}
+
+/**
+ * Releases the drag handle without dragging.
+ *
+ * @param {PointerEvent} pointerEvent
+ * @returns {void}
+ */
+function onDragHandlePointerUp(pointerEvent) {
+  if (pointerEvent.target.closest('.drag-handle')) {
+    pointerEvent.target.closest('li.converter').draggable = false
+  }
+}
+
+/**
+ * Handles the start of a drag operation.
+ *
+ * Only converters are dragged—not, e.g., the text selected in their form fields.
+ *
+ * @param {DragEvent} dragEvent
+ * @returns {void}
+ */
+function onDragStart(dragEvent) {
+  if (!(dragEvent.target instanceof Element && dragEvent.target.matches('li.converter'))) {
+    return
+  }
+  draggedConverterElement = dragEvent.target
+  draggedConverterElement.classList.add('dragging')
+  dragEvent.dataTransfer.effectAllowed = 'move'
+}
+
+/**
+ * Moves the dragged converter over the hovered one.
+ *
+ * @param {DragEvent} dragEvent
+ * @returns {void}
+ */
+function onDragOver(dragEvent) {
+  const converterElement = dragEvent.target.closest('li.converter')
+  if (draggedConverterElement === null || converterElement === null) {
+    return
+  }
+  dragEvent.preventDefault()
+  if (converterElement === draggedConverterElement) {
+    return
+  }
+  const boundingClientRect = converterElement.getBoundingClientRect()
+  if (dragEvent.clientY < boundingClientRect.top + boundingClientRect.height / 2) {
+    converterElement.before(draggedConverterElement)
+  } else {
+    converterElement.after(draggedConverterElement)
+  }
+}
+
+/**
+ * Handles the end of a drag operation.
+ *
+ * @param {DragEvent} dragEvent
+ * @returns {void}
+ */
+function onDragEnd(dragEvent) {
+  if (draggedConverterElement === null) {
+    return
+  }
+  draggedConverterElement.classList.remove('dragging')
+  draggedConverterElement.draggable = false
+  draggedConverterElement = null
+  updateConverterLegends()
+}
@@ -3,11 +3,21 @@
 // See lydell’s work for reference:
 // https://github.com/lydell/LinkHints/blob/main/src/options/Program.tsx
 
+import { renderConverters, readConverters, addConverter, renderTestResult } from './converter_editor.js'
+import { renderSiteRules, readSiteRules, addSiteRule } from './site_rule_editor.js'
+import { SCHEMA_VERSION, migrateOptions, validateOptions } from './schema.js'
+
 const port = chrome.runtime.connect({
   name: 'options'
 })
 
-const buttonElements = document.querySelectorAll('button')
+const buttonElements = document.querySelectorAll('body > button')
+const testInputElement = document.getElementById('test_input')
+const actionPopupInputElement = document.getElementById('action_popup')
+const contextBlocksInputElement = document.getElementById('context_blocks')
+const validationErrorsElement = document.getElementById('validation_errors')
+const errorLogElement = document.getElementById('error_log')
+const errorLogPlaceholderElement = document.getElementById('error_log_placeholder')
 
 for (const buttonElement of buttonElements) {
   const actionName = buttonElement.dataset.action
@@ -25,6 +35,26 @@ for (const buttonElement of buttonElements) {
       buttonElement.addEventListener('click', resetOptions)
       break
 
+    case 'clearErrors':
+      buttonElement.addEventListener('click', clearErrors)
+      break
+
+    case 'addConverter':
+      buttonElement.addEventListener('click', addConverter)
+      break
+
+    case 'saveConverters':
+      buttonElement.addEventListener('click', saveConverters)
+      break
+
+    case 'addSiteRule':
+      buttonElement.addEventListener('click', addSiteRule)
+      break
+
+    case 'saveSiteRules':
+      buttonElement.addEventListener('click', saveSiteRules)
+      break
+
     default:
       console.error(
         'Unknown action: "%s"',
@@ -33,6 +63,104 @@ for (const buttonElement of buttonElements) {
   }
 }
 
+/**
+ * Converter elements of the running tests, by test ID.
+ *
+ * @type {Map<number, HTMLLIElement>}
+ */
+const runningTests = new Map
+
+let nextTestId = 0
+
+port.onMessage.addListener(onMessage)
+
+document.addEventListener('testconverter', (customEvent) => {
+  testConverter(customEvent.detail, customEvent.target)
+})
+
+actionPopupInputElement.addEventListener('change', () => {
+  saveOptions({
+    actionPopup: actionPopupInputElement.checked
+  })
+})
+
+contextBlocksInputElement.addEventListener('change', saveContextBlocks)
+
+getOptions().then((options) => {
+  renderConverters(options.converters ?? [])
+  renderSiteRules(options.siteRules ?? [])
+  actionPopupInputElement.checked = options.actionPopup ?? false
+  contextBlocksInputElement.checked = options.contextBlocks ?? false
+})
+
+renderErrorLog()
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  switch (areaName) {
+    case 'sync':
+      if ('converters' in changes) {
+        renderConverters(changes.converters.newValue ?? [])
+      }
+      if ('siteRules' in changes) {
+        renderSiteRules(changes.siteRules.newValue ?? [])
+      }
+      if ('actionPopup' in changes) {
+        actionPopupInputElement.checked = changes.actionPopup.newValue ?? false
+      }
+      if ('contextBlocks' in changes) {
+        contextBlocksInputElement.checked = changes.contextBlocks.newValue ?? false
+      }
+      break
+
+    case 'local':
+      if ('errorLog' in changes) {
+        renderErrorLog()
+      }
+      break
+  }
+})
+
+/**
+ * Handles message by using a discriminator field. Each message has a `type` field,
+ * and the rest of the fields, and their meaning, depend on its value.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @returns {void}
+ */
+function onMessage(message) {
+  switch (message.type) {
+    case 'keepAlive':
+      break
+
+    case 'optionsSaved':
+      renderValidationErrors([])
+      break
+
+    case 'invalidOptions':
+      renderValidationErrors(message.errors)
+      break
+
+    case 'testResult': {
+      const converterElement = runningTests.get(message.testId)
+      runningTests.delete(message.testId)
+      renderTestResult(converterElement, message.testResult)
+      break
+    }
+
+    case 'error':
+      renderValidationErrors([message.message])
+      break
+
+    default:
+      console.error(
+        'Unknown message: "%s"',
+        message.type
+      )
+  }
+}
+
 /**
  * Sends a single message to the service worker.
  *
@@ -65,6 +193,84 @@ function saveOptions(partialOptions) {
   })
 }
 
+/**
+ * Saves the `contextBlocks` option from its checkbox.
+ *
+ * The host permissions must be requested first, while handling the click.
+ * The checkbox is unchecked when they are denied.
+ *
+ * @returns {Promise<void>}
+ */
+async function saveContextBlocks() {
+  if (contextBlocksInputElement.checked) {
+    const isGranted = await chrome.permissions.request({
+      origins: ['<all_urls>']
+    })
+    if (!isGranted) {
+      contextBlocksInputElement.checked = false
+      return
+    }
+  }
+  saveOptions({
+    contextBlocks: contextBlocksInputElement.checked
+  })
+}
+
+/**
+ * Saves the converters from the converter editor.
+ *
+ * @returns {void}
+ */
+function saveConverters() {
+  const partialOptions = {
+    schemaVersion: SCHEMA_VERSION,
+    converters: readConverters()
+  }
+  const errors = validateOptions(partialOptions)
+  if (errors.length > 0) {
+    renderValidationErrors(errors)
+  } else {
+    saveOptions(partialOptions)
+  }
+}
+
+/**
+ * Saves the site rules from the site rule editor.
+ *
+ * @returns {void}
+ */
+function saveSiteRules() {
+  const partialOptions = {
+    schemaVersion: SCHEMA_VERSION,
+    siteRules: readSiteRules()
+  }
+  const errors = validateOptions(partialOptions)
+  if (errors.length > 0) {
+    renderValidationErrors(errors)
+  } else {
+    saveOptions(partialOptions)
+  }
+}
+
+/**
+ * Tests the specified converter with the test input.
+ *
+ * @param {Converter} converter
+ * @param {HTMLLIElement} converterElement
+ * @returns {void}
+ */
+function testConverter(converter, converterElement) {
+  const testId = nextTestId++
+  runningTests.set(testId, converterElement)
+  renderTestResult(converterElement, null)
+  sendMessage({
+    type: 'testConverter',
+    testId,
+    converter,
+    input: testInputElement.value
+  })
+}
+
 /**
  * Resets options.
  *
@@ -76,6 +282,62 @@ function resetOptions() {
   })
 }
 
+/**
+ * Clears the error log.
+ *
+ * @returns {void}
+ */
+function clearErrors() {
+  sendMessage({
+    type: 'clearErrors'
+  })
+}
+
+/**
+ * Renders the validation errors, or hides them when there is none.
+ *
+ * @param {string[]} errors
+ * @returns {void}
+ */
+function renderValidationErrors(errors) {
+  const listItemElements = errors.map((error) => {
+    const listItemElement = document.createElement('li')
+    listItemElement.textContent = error
+    return listItemElement
+  })
+  validationErrorsElement.replaceChildren(...listItemElements)
+  validationErrorsElement.hidden = errors.length === 0
+  if (errors.length > 0) {
+    validationErrorsElement.scrollIntoView()
+  }
+}
+
+/**
+ * Renders the recent errors.
+ *
+ * @returns {Promise<void>}
+ */
+async function renderErrorLog() {
+  const { errorLog = [] } = await chrome.storage.local.get('errorLog')
+  const listItemElements = errorLog.map((entry) => {
+    const listItemElement = document.createElement('li')
+    const summaryElement = document.createElement('span')
+    const messageElement = document.createElement('pre')
+    const details = [
+      new Date(entry.date).toLocaleString(),
+      entry.converter,
+      entry.status === null ? null : `exit code ${entry.status}`,
+      entry.url,
+    ]
+    summaryElement.textContent = details.filter(Boolean).join(' · ')
+    messageElement.textContent = entry.message
+    listItemElement.append(summaryElement, messageElement)
+    return listItemElement
+  })
+  errorLogElement.replaceChildren(...listItemElements)
+  errorLogPlaceholderElement.hidden = errorLog.length > 0
+}
+
 /**
  * Imports options.
  *
@@ -83,8 +345,24 @@ function resetOptions() {
  */
 async function importOptions() {
   const configFile = await selectFile('application/json')
-  const newOptions = await readFileAsJSON(configFile)
-  saveOptions(newOptions)
+  let newOptions
+  try {
+    newOptions = migrateOptions(await readFileAsJSON(configFile))
+  } catch (error) {
+    renderValidationErrors([
+      `Could not read “${configFile.name}”: ${error.message}`
+    ])
+    return
+  }
+  const errors = validateOptions(newOptions)
+  if (errors.length > 0) {
+    renderValidationErrors([
+      `Could not import “${configFile.name}”:`,
+      ...errors
+    ])
+  } else {
+    saveOptions(newOptions)
+  }
 }
 
 /**
@@ -0,0 +1,630 @@
+// This module contains the options schema, to validate and migrate options.
+//
+// Options are versioned with the `schemaVersion` field.
+// Older options are upgraded one version at a time by the migrations below,
+// then validated against the current schema.
+
+import '../../@types/converter.js'
+import '../../@types/site_rule.js'
+import { BUILTIN_CONVERTERS } from '../builtin/converters.js'
+import { PAGE_PLACEHOLDERS } from '../arguments.js'
+import { CONVERTER_CONTEXTS } from '../context_menu.js'
+import { getPipelineSteps, isPandocStep } from '../pipeline.js'
+
+export const SCHEMA_VERSION = 1
+
+/**
+ * Migrations from one schema version to the next.
+ * The migration at index `n` upgrades options from version `n` to version `n + 1`.
+ *
+ * @type {Array<(options: object) => object>}
+ */
+const MIGRATIONS = [
+  migrateUnversionedOptions,
+]
+
+/**
+ * Validators for each option.
+ * A validator returns the list of human-readable errors for the given value.
+ *
+ * @type {Object<string, (value: any) => string[]>}
+ */
+const OPTION_VALIDATORS = {
+  schemaVersion: (value) => {
+    if (!Number.isInteger(value) || value < 0) {
+      return ['“schemaVersion” must be a non-negative integer.']
+    }
+    if (value > SCHEMA_VERSION) {
+      return [`The options were created by a newer version of Pandoc for Chrome (schema version ${value}).`]
+    }
+    return []
+  },
+
+  converters: (value) =>
+    Array.isArray(value)
+      ? [
+        ...value.flatMap(validateConverter),
+        ...validateConverterReferences(value)
+      ]
+      : ['“converters” must be a list of converters.'],
+
+  siteRules: (value) =>
+    Array.isArray(value)
+      ? value.flatMap(validateSiteRule)
+      : ['“siteRules” must be a list of site rules.'],
+
+  actionPopup: (value) =>
+    isBoolean(value) ? [] : ['“actionPopup” must be a boolean.'],
+
+  rememberLastConverter: (value) =>
+    isBoolean(value) ? [] : ['“rememberLastConverter” must be a boolean.'],
+
+  contextBlocks: (value) =>
+    isBoolean(value) ? [] : ['“contextBlocks” must be a boolean.'],
+}
+
+/**
+ * Validators for each converter property.
+ * A validator returns an error message when the value is invalid.
+ *
+ * @type {Object<string, (value: any) => ?string>}
+ */
+const CONVERTER_VALIDATORS = {
+  name: (value) =>
+    isNonEmptyString(value) ? null : 'must be a non-empty string',
+
+  type: (value) =>
+    isOneOf(value, ['command', 'builtin']) ? null : 'must be either "command" or "builtin"',
+
+  command: (value) =>
+    isNonEmptyString(value) ? null : 'must be a non-empty string',
+
+  args: (value) =>
+    isArrayOf(value, isString) ? null : 'must be a list of strings',
+
+  params: (value) =>
+    isArrayOf(value, isConverterParameter)
+      ? null
+      : 'must be a list of parameters, each with a “name”, a “type”—"enum" with “options”, "number", "boolean" or "string"—and an optional “default” value of that type',
+
+  steps: (value) =>
+    isArrayOf(value, isPipelineStep) ? null : 'must be a list of steps, each with a “command” and optional “args”',
+
+  env: (value) =>
+    isEnv(value) ? null : 'must be an object mapping names to strings or null',
+
+  dir: (value) =>
+    value === null || isString(value) ? null : 'must be a string or null',
+
+  timeout: (value) =>
+    isPositiveNumber(value) ? null : 'must be a positive number of seconds',
+
+  fallback: (value) =>
+    isOneOf(value, ['auto', 'none', ...Object.keys(BUILTIN_CONVERTERS)])
+      ? null
+      : `must be either "auto", "none" or the name of a built-in converter (${formatBuiltinConverterNames()})`,
+
+  pageContent: (value) =>
+    isOneOf(value, ['document', 'article']) ? null : 'must be either "document" or "article"',
+
+  htmlConverter: (value) =>
+    isNonEmptyString(value) ? null : 'must be the name of a converter',
+
+  metadata: (value) =>
+    isBoolean(value) ? null : 'must be a boolean',
+
+  destination: (value) =>
+    isOneOf(value, ['clipboard', 'download', 'file']) ? null : 'must be either "clipboard", "download" or "file"',
+
+  filename: (value) =>
+    isNonEmptyString(value) ? null : 'must be a non-empty string',
+
+  extension: (value) =>
+    isString(value) && /^[\w.-]+$/.test(value) ? null : 'must be a file extension without a leading dot',
+
+  images: (value) =>
+    isOneOf(value, ['link', 'embed', 'download']) ? null : 'must be either "link", "embed" or "download"',
+
+  maxImageSize: (value) =>
+    Number.isInteger(value) && value > 0 ? null : 'must be a positive integer',
+
+  skipImages: (value) =>
+    isArrayOf(value, isNonEmptyString) ? null : 'must be a list of non-empty strings',
+
+  preview: (value) =>
+    isBoolean(value) ? null : 'must be a boolean',
+
+  group: (value) =>
+    isNonEmptyString(value) ? null : 'must be a non-empty string',
+
+  contexts: (value) =>
+    isArrayOf(value, (context) => isOneOf(context, CONVERTER_CONTEXTS))
+      ? null
+      : `must be a list of contexts (${CONVERTER_CONTEXTS.map((context) => `"${context}"`).join(', ')})`,
+
+  separator: (value) =>
+    isBoolean(value) ? null : 'must be a boolean',
+}
+
+const REQUIRED_CONVERTER_PROPERTIES = ['name', 'command']
+
+/**
+ * Validators for each site rule property.
+ * A validator returns an error message when the value is invalid.
+ *
+ * @type {Object<string, (value: any) => ?string>}
+ */
+const SITE_RULE_VALIDATORS = {
+  name: (value) =>
+    isNonEmptyString(value) ? null : 'must be a non-empty string',
+
+  matches: (value) =>
+    isArrayOf(value, isNonEmptyString) && value.length > 0 ? null : 'must be a non-empty list of URL patterns',
+
+  remove: (value) =>
+    isArrayOf(value, isNonEmptyString) ? null : 'must be a list of CSS selectors',
+
+  unwrap: (value) =>
+    isArrayOf(value, isNonEmptyString) ? null : 'must be a list of CSS selectors',
+
+  keepAttributes: (value) =>
+    isArrayOf(value, isNonEmptyString) ? null : 'must be a list of attribute names',
+
+  converter: (value) =>
+    isNonEmptyString(value) ? null : 'must be the name of a converter',
+
+  env: (value) =>
+    isEnv(value) ? null : 'must be an object mapping names to strings or null',
+
+  dir: (value) =>
+    value === null || isString(value) ? null : 'must be a string or null',
+
+  timeout: (value) =>
+    isPositiveNumber(value) ? null : 'must be a positive number of seconds',
+}
+
+const REQUIRED_SITE_RULE_PROPERTIES = ['matches']
+
+/**
+ * Upgrades options to the current schema version.
+ * Options without a schema version are considered to be version 0.
+ *
+ * @param {object} options
+ * @returns {object}
+ */
+export function migrateOptions(options) {
+  if (!isObject(options)) {
+    return options
+  }
+  const { schemaVersion = 0 } = options
+  if (!Number.isInteger(schemaVersion) || schemaVersion >= SCHEMA_VERSION) {
+    return options
+  }
+  return {
+    ...MIGRATIONS.slice(schemaVersion).reduce(
+      (options, migration) => migration(options),
+      options
+    ),
+    schemaVersion: SCHEMA_VERSION
+  }
+}
+
+/**
+ * Upgrades unversioned options to version 1.
+ *
+ * Early options described a single command with top-level `command` and `args` fields,
+ * and converters could omit their name.
+ *
+ * @param {object} options
+ * @returns {object}
+ */
+function migrateUnversionedOptions(options) {
+  if (options.converters === undefined && 'command' in options) {
+    const { command, args, ...otherOptions } = options
+    return migrateUnversionedOptions({
+      ...otherOptions,
+      converters: [
+        args === undefined
+          ? { name: 'Pandoc', command }
+          : { name: 'Pandoc', command, args }
+      ]
+    })
+  }
+  if (!Array.isArray(options.converters)) {
+    return options
+  }
+  return {
+    ...options,
+    converters: options.converters.map(migrateUnversionedConverter)
+  }
+}
+
+/**
+ * Upgrades an unversioned converter to version 1.
+ *
+ * Converters could declare their arguments as a single string,
+ * and default to the command name when unnamed.
+ *
+ * @param {any} converter
+ * @returns {any}
+ */
+function migrateUnversionedConverter(converter) {
+  if (!isObject(converter)) {
+    return converter
+  }
+  const migratedConverter = {
+    name: converter.command,
+    ...converter
+  }
+  if (isString(converter.args)) {
+    migratedConverter.args = converter.args.split(/\s+/).filter(Boolean)
+  }
+  return migratedConverter
+}
+
+/**
+ * Validates options against the current schema.
+ * Returns the list of human-readable errors—empty when the options are valid.
+ *
+ * @param {any} options
+ * @returns {string[]}
+ */
+export function validateOptions(options) {
+  if (!isObject(options)) {
+    return ['The options must be a JSON object.']
+  }
+  return [
+    ...Object.entries(options).flatMap(([name, value]) =>
+      name in OPTION_VALIDATORS
+        ? OPTION_VALIDATORS[name](value)
+        : [`Unknown option “${name}”.`]
+    ),
+    ...validateSiteRuleReferences(options)
+  ]
+}
+
+/**
+ * Splits options into the valid ones and the errors of the others—validated option by option,
+ * so that an invalid or unknown option does not discard the rest.
+ * Site rules referring to unknown converters are discarded as well.
+ *
+ * @param {any} options
+ * @returns {{ validOptions: object, errors: string[] }}
+ */
+export function getValidOptions(options) {
+  if (!isObject(options)) {
+    return {
+      validOptions: {},
+      errors: ['The options must be a JSON object.']
+    }
+  }
+  const validOptions = {}
+  const errors = []
+  for (const [name, value] of Object.entries(options)) {
+    const optionErrors = name in OPTION_VALIDATORS
+      ? OPTION_VALIDATORS[name](value)
+      : [`Unknown option “${name}”.`]
+    if (optionErrors.length === 0) {
+      validOptions[name] = value
+    } else {
+      errors.push(...optionErrors)
+    }
+  }
+  const referenceErrors = validateSiteRuleReferences(validOptions)
+  if (referenceErrors.length > 0) {
+    delete validOptions.siteRules
+    errors.push(...referenceErrors)
+  }
+  return { validOptions, errors }
+}
+
+/**
+ * Validates a converter.
+ *
+ * @param {any} converter
+ * @param {number} index
+ * @returns {string[]}
+ */
+function validateConverter(converter, index) {
+  if (!isObject(converter)) {
+    return [`Converter ${index + 1} must be an object.`]
+  }
+  const label = isNonEmptyString(converter.name)
+    ? `Converter ${index + 1} (“${converter.name}”)`
+    : `Converter ${index + 1}`
+  const missingPropertyErrors = REQUIRED_CONVERTER_PROPERTIES
+    .filter((name) => !(name in converter))
+    .map((name) => `${label}: “${name}” is required.`)
+  const propertyErrors = Object.entries(converter).map(([name, value]) => {
+    if (!(name in CONVERTER_VALIDATORS)) {
+      return `${label}: unknown property “${name}”.`
+    }
+    const message = CONVERTER_VALIDATORS[name](value)
+    return message === null
+      ? null
+      : `${label}: “${name}” ${message}.`
+  })
+  // Images are saved next to the downloaded file.
+  const imagesErrors = converter.images === 'download' && converter.destination !== 'download'
+    ? [`${label}: “images” can only be "download" when “destination” is "download".`]
+    : []
+  // The file is written by Pandoc, with the `--output` option.
+  const destinationErrors = converter.destination === 'file' && converter.type !== 'builtin' && isNonEmptyString(converter.command) &&
+    (converter.steps === undefined || isArrayOf(converter.steps, isPipelineStep)) &&
+    !getPipelineSteps(converter).some(isPandocStep)
+    ? [`${label}: “destination” can only be "file" when a step runs pandoc.`]
+    : []
+  return [
+    ...missingPropertyErrors,
+    ...propertyErrors.filter(Boolean),
+    ...imagesErrors,
+    ...destinationErrors,
+    ...(isArrayOf(converter.params, isConverterParameter) ? validateParameterNames(converter.params, label) : []),
+    ...(converter.type === 'builtin' ? validateBuiltinConverter(converter, label) : [])
+  ]
+}
+
+/**
+ * Validates that the parameters of a converter have unique names,
+ * distinct from the placeholders expanded from the page.
+ *
+ * @param {ConverterParameter[]} params
+ * @param {string} label
+ * @returns {string[]}
+ */
+function validateParameterNames(params, label) {
+  const names = params.map((param) => param.name)
+  return names.flatMap((name, index) => {
+    if (PAGE_PLACEHOLDERS.includes(name)) {
+      return [`${label}: the parameter name “${name}” is reserved for the {${name}} placeholder.`]
+    }
+    if (names.indexOf(name) !== index) {
+      return [`${label}: the parameter name “${name}” is used more than once.`]
+    }
+    return []
+  })
+}
+
+/**
+ * Validates a built-in converter—i.e., its command names a built-in converter,
+ * and it does not use the options of the shell application.
+ *
+ * @param {object} converter
+ * @param {string} label
+ * @returns {string[]}
+ */
+function validateBuiltinConverter(converter, label) {
+  const errors = []
+  if (isNonEmptyString(converter.command) && !(converter.command in BUILTIN_CONVERTERS)) {
+    errors.push(`${label}: “command” must be the name of a built-in converter (${formatBuiltinConverterNames()}).`)
+  }
+  if ('steps' in converter) {
+    errors.push(`${label}: built-in converters cannot have “steps”.`)
+  }
+  // Built-in converters cannot write files.
+  if (converter.destination === 'file') {
+    errors.push(`${label}: “destination” cannot be "file" for built-in converters.`)
+  }
+  return errors
+}
+
+/**
+ * Returns the names of the built-in converters, for error messages.
+ *
+ * @returns {string}
+ */
+function formatBuiltinConverterNames() {
+  return Object.keys(BUILTIN_CONVERTERS).map((name) => `"${name}"`).join(', ')
+}
+
+/**
+ * Validates that converters only refer to existing converters by name.
+ *
+ * @param {any[]} converters
+ * @returns {string[]}
+ */
+function validateConverterReferences(converters) {
+  const converterNames = new Set(
+    converters.filter(isObject).map((converter) => converter.name)
+  )
+  return converters.flatMap((converter, index) =>
+    isObject(converter) && isNonEmptyString(converter.htmlConverter) && !converterNames.has(converter.htmlConverter)
+      ? [`Converter ${index + 1} (“${converter.name}”): “htmlConverter” refers to an unknown converter “${converter.htmlConverter}”.`]
+      : []
+  )
+}
+
+/**
+ * Validates a site rule.
+ *
+ * @param {any} siteRule
+ * @param {number} index
+ * @returns {string[]}
+ */
+function validateSiteRule(siteRule, index) {
+  if (!isObject(siteRule)) {
+    return [`Site rule ${index + 1} must be an object.`]
+  }
+  const label = isNonEmptyString(siteRule.name)
+    ? `Site rule ${index + 1} (“${siteRule.name}”)`
+    : `Site rule ${index + 1}`
+  const missingPropertyErrors = REQUIRED_SITE_RULE_PROPERTIES
+    .filter((name) => !(name in siteRule))
+    .map((name) => `${label}: “${name}” is required.`)
+  const propertyErrors = Object.entries(siteRule).map(([name, value]) => {
+    if (!(name in SITE_RULE_VALIDATORS)) {
+      return `${label}: unknown property “${name}”.`
+    }
+    const message = SITE_RULE_VALIDATORS[name](value)
+    return message === null
+      ? null
+      : `${label}: “${name}” ${message}.`
+  })
+  return [
+    ...missingPropertyErrors,
+    ...propertyErrors.filter(Boolean)
+  ]
+}
+
+/**
+ * Validates that site rules only refer to existing converters by name—
+ * when both are specified.
+ *
+ * @param {object} options
+ * @returns {string[]}
+ */
+function validateSiteRuleReferences(options) {
+  if (!Array.isArray(options.siteRules) || !Array.isArray(options.converters)) {
+    return []
+  }
+  const converterNames = new Set(
+    options.converters.filter(isObject).map((converter) => converter.name)
+  )
+  return options.siteRules.flatMap((siteRule, index) =>
+    isObject(siteRule) && isNonEmptyString(siteRule.converter) && !converterNames.has(siteRule.converter)
+      ? [`Site rule ${index + 1}: “converter” refers to an unknown converter “${siteRule.converter}”.`]
+      : []
+  )
+}
+
+/**
+ * Determines whether the specified value is a plain object.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+/**
+ * Determines whether the specified value is a string.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isString(value) {
+  return typeof value === 'string'
+}
+
+/**
+ * Determines whether the specified value is a boolean.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isBoolean(value) {
+  return typeof value === 'boolean'
+}
+
+/**
+ * Determines whether the specified value is a non-empty string.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isNonEmptyString(value) {
+  return isString(value) && value.trim() !== ''
+}
+
+/**
+ * Determines whether the specified value is a positive finite number.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPositiveNumber(value) {
+  return Number.isFinite(value) && value > 0
+}
+
+/**
+ * Determines whether the specified value is a set of environment variables—
+ * i.e., an object mapping names to strings, or to null to unset them.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isEnv(value) {
+  return isObject(value) && Object.values(value).every((value) => value === null || isString(value))
+}
+
+/**
+ * Determines whether the specified value is a pipeline step—i.e., an object with a command,
+ * and optionally a list of arguments.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isPipelineStep(value) {
+  return (
+    isObject(value) &&
+    isNonEmptyString(value.command) &&
+    (value.args === undefined || isArrayOf(value.args, isString)) &&
+    Object.keys(value).every((name) => ['command', 'args'].includes(name))
+  )
+}
+
+/**
+ * Determines whether the specified value is a converter parameter—i.e., an object with a name,
+ * a type, and optionally a label, the options of `enum` parameters, and a default value of that type.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isConverterParameter(value) {
+  if (
+    !isObject(value) ||
+    !isString(value.name) ||
+    !/^\w+$/.test(value.name) ||
+    !(value.label === undefined || isString(value.label)) ||
+    !Object.keys(value).every((name) => ['name', 'label', 'type', 'options', 'default'].includes(name))
+  ) {
+    return false
+  }
+  if (value.type !== 'enum' && value.options !== undefined) {
+    return false
+  }
+  switch (value.type) {
+    case 'enum':
+      return (
+        isArrayOf(value.options, isString) &&
+        value.options.length > 0 &&
+        (value.default === undefined || value.options.includes(value.default))
+      )
+
+    case 'number':
+      return value.default === undefined || Number.isFinite(value.default)
+
+    case 'boolean':
+      return value.default === undefined || isBoolean(value.default)
+
+    case 'string':
+      return value.default === undefined || isString(value.default)
+
+    default:
+      return false
+  }
+}
+
+/**
+ * Determines whether the specified value is one of the given values.
+ *
+ * @param {any} value
+ * @param {any[]} values
+ * @returns {boolean}
+ */
+function isOneOf(value, values) {
+  return values.includes(value)
+}
+
+/**
+ * Determines whether the specified value is an array
+ * whose elements all satisfy the given predicate.
+ *
+ * @param {any} value
+ * @param {(element: any) => boolean} predicate
+ * @returns {boolean}
+ */
+function isArrayOf(value, predicate) {
+  return Array.isArray(value) && value.every(predicate)
+}
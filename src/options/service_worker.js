@@ -4,6 +4,10 @@
 // Service workers: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers
 // Long-lived connections: https://developer.chrome.com/docs/extensions/develop/concepts/messaging#connect
 
+import { clearErrors } from '../errors.js'
+import { convertWithoutFallback } from '../pandoc.js'
+import { migrateOptions, validateOptions, getValidOptions } from './schema.js'
+
 const KEEP_ALIVE_INTERVAL = 29000
 
 /**
@@ -62,13 +66,21 @@ function onDisconnect(port, keepAliveIntervalId) {
 function onMessage(message, port) {
   switch (message.type) {
     case 'saveOptions':
-      saveOptions(message.partialOptions)
+      saveOptions(message.partialOptions, port)
       break
 
     case 'resetOptions':
       resetOptions()
       break
 
+    case 'clearErrors':
+      clearErrors()
+      break
+
+    case 'testConverter':
+      testConverter(message.testId, message.converter, message.input, port)
+      break
+
     default:
       port.postMessage({
         type: 'error',
@@ -78,13 +90,74 @@ function onMessage(message, port) {
 }
 
 /**
- * Saves options.
+ * Saves options, after validating them against the options schema.
+ * Replies with the validation errors when the options are invalid.
+ *
+ * Invalid stored options—ignored since startup—are left out of the validation,
+ * so that they do not block saving the others.
  *
  * @param {object} partialOptions
+ * @param {chrome.runtime.Port} port
+ * @returns {Promise<void>}
+ */
+async function saveOptions(partialOptions, port) {
+  const { validOptions: currentOptions } = getValidOptions(
+    migrateOptions(await chrome.storage.sync.get())
+  )
+  const newOptions = migrateOptions({
+    ...currentOptions,
+    ...partialOptions
+  })
+  const errors = validateOptions(newOptions)
+  if (errors.length > 0) {
+    port.postMessage({
+      type: 'invalidOptions',
+      errors
+    })
+    return
+  }
+  await chrome.storage.sync.set(newOptions)
+  port.postMessage({
+    type: 'optionsSaved'
+  })
+}
+
+/**
+ * Tests a converter by running it with the specified input,
+ * and replies with its output, errors, exit code and duration.
+ *
+ * @param {number} testId
+ * @param {Converter} converter
+ * @param {string} input
+ * @param {chrome.runtime.Port} port
  * @returns {Promise<void>}
  */
-async function saveOptions(partialOptions) {
-  await chrome.storage.sync.set(partialOptions)
+async function testConverter(testId, converter, input, port) {
+  const startTime = performance.now()
+  let testResult
+  try {
+    const commandResult = await convertWithoutFallback(converter, input)
+    testResult = {
+      status: commandResult.status,
+      output: commandResult.output,
+      error: commandResult.error,
+      failedStep: commandResult.failedStep
+    }
+  } catch (error) {
+    testResult = {
+      status: null,
+      output: '',
+      error: error.message
+    }
+  }
+  port.postMessage({
+    type: 'testResult',
+    testId,
+    testResult: {
+      ...testResult,
+      duration: performance.now() - startTime
+    }
+  })
 }
 
 /**
@@ -0,0 +1,210 @@
+// This module contains the site rule editor of the “Options” page.
+//
+// Each site rule is rendered from the “site_rule_template” template element,
+// and the list of site rules is read back from the form fields when saving.
+
+import '../../@types/site_rule.js'
+import { formatEnv, parseEnv } from './converter_editor.js'
+
+const siteRuleListElement = document.getElementById('site_rule_list')
+const siteRuleTemplateElement = document.getElementById('site_rule_template')
+
+siteRuleListElement.addEventListener('click', onSiteRuleAction)
+siteRuleListElement.addEventListener('input', onSiteRuleInput)
+
+/**
+ * Renders the specified site rules, replacing the current ones.
+ *
+ * @param {SiteRule[]} siteRules
+ * @returns {void}
+ */
+export function renderSiteRules(siteRules) {
+  siteRuleListElement.replaceChildren(
+    ...siteRules.map(createSiteRuleElement)
+  )
+  updateSiteRuleLegends()
+}
+
+/**
+ * Returns the site rules from the form fields.
+ *
+ * @returns {SiteRule[]}
+ */
+export function readSiteRules() {
+  return Array.from(siteRuleListElement.children, readSiteRuleElement)
+}
+
+/**
+ * Appends a new empty site rule.
+ *
+ * @returns {void}
+ */
+export function addSiteRule() {
+  const siteRuleElement = createSiteRuleElement({
+    matches: []
+  })
+  siteRuleListElement.append(siteRuleElement)
+  updateSiteRuleLegends()
+  getField(siteRuleElement, 'name').focus()
+}
+
+/**
+ * Creates a site rule element from the template.
+ *
+ * @param {SiteRule} siteRule
+ * @returns {HTMLLIElement}
+ */
+function createSiteRuleElement(siteRule) {
+  const documentFragment = siteRuleTemplateElement.content.cloneNode(true)
+  const siteRuleElement = documentFragment.firstElementChild
+  getField(siteRuleElement, 'name').value = siteRule.name ?? ''
+  getField(siteRuleElement, 'matches').value = formatLines(siteRule.matches)
+  getField(siteRuleElement, 'remove').value = formatLines(siteRule.remove ?? [])
+  getField(siteRuleElement, 'unwrap').value = formatLines(siteRule.unwrap ?? [])
+  getField(siteRuleElement, 'keepAttributes').value = formatLines(siteRule.keepAttributes ?? [])
+  getField(siteRuleElement, 'converter').value = siteRule.converter ?? ''
+  getField(siteRuleElement, 'env').value = formatEnv(siteRule.env ?? {})
+  getField(siteRuleElement, 'dir').value = siteRule.dir ?? ''
+  getField(siteRuleElement, 'timeout').value = siteRule.timeout?.toString() ?? ''
+  return siteRuleElement
+}
+
+/**
+ * Returns the site rule from the form fields of the specified element.
+ * Empty optional fields are omitted.
+ *
+ * @param {HTMLLIElement} siteRuleElement
+ * @returns {SiteRule}
+ */
+function readSiteRuleElement(siteRuleElement) {
+  const siteRule = {}
+  const name = getField(siteRuleElement, 'name').value.trim()
+  const matches = parseLines(getField(siteRuleElement, 'matches').value)
+  const remove = parseLines(getField(siteRuleElement, 'remove').value)
+  const unwrap = parseLines(getField(siteRuleElement, 'unwrap').value)
+  const keepAttributes = parseLines(getField(siteRuleElement, 'keepAttributes').value)
+  const converter = getField(siteRuleElement, 'converter').value.trim()
+  const env = parseEnv(getField(siteRuleElement, 'env').value)
+  const dir = getField(siteRuleElement, 'dir').value.trim()
+  const timeout = getField(siteRuleElement, 'timeout').value.trim()
+  if (name) {
+    siteRule.name = name
+  }
+  siteRule.matches = matches
+  if (remove.length > 0) {
+    siteRule.remove = remove
+  }
+  if (unwrap.length > 0) {
+    siteRule.unwrap = unwrap
+  }
+  if (keepAttributes.length > 0) {
+    siteRule.keepAttributes = keepAttributes
+  }
+  if (converter) {
+    siteRule.converter = converter
+  }
+  if (Object.keys(env).length > 0) {
+    siteRule.env = env
+  }
+  if (dir) {
+    siteRule.dir = dir
+  }
+  if (timeout) {
+    siteRule.timeout = Number(timeout)
+  }
+  return siteRule
+}
+
+/**
+ * Returns the form field with the specified name.
+ *
+ * @param {HTMLElement} siteRuleElement
+ * @param {string} name
+ * @returns {HTMLInputElement | HTMLTextAreaElement}
+ */
+function getField(siteRuleElement, name) {
+  return siteRuleElement.querySelector(`[name="${name}"]`)
+}
+
+/**
+ * Formats values, one value per line.
+ *
+ * @param {string[]} values
+ * @returns {string}
+ */
+function formatLines(values) {
+  return values.join('\n')
+}
+
+/**
+ * Parses values, one value per line.
+ * Surrounding whitespace and blank lines are ignored.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function parseLines(text) {
+  return text.split('\n').map((line) => line.trim()).filter(Boolean)
+}
+
+/**
+ * Updates the legend of each site rule with its name, or its first URL pattern.
+ *
+ * @returns {void}
+ */
+function updateSiteRuleLegends() {
+  for (const siteRuleElement of siteRuleListElement.children) {
+    siteRuleElement.querySelector('legend').textContent = (
+      getField(siteRuleElement, 'name').value.trim() ||
+      parseLines(getField(siteRuleElement, 'matches').value)[0] ||
+      'Untitled site rule'
+    )
+  }
+}
+
+/**
+ * Handles the site rule buttons—e.g., “Move up” or “Delete”.
+ *
+ * @param {PointerEvent} pointerEvent
+ * @returns {void}
+ */
+function onSiteRuleAction(pointerEvent) {
+  const buttonElement = pointerEvent.target.closest('button[data-action]')
+  if (buttonElement === null) {
+    return
+  }
+  const siteRuleElement = buttonElement.closest('li')
+  const actionName = buttonElement.dataset.action
+
+  switch (actionName) {
+    case 'moveSiteRuleUp':
+      siteRuleElement.previousElementSibling?.before(siteRuleElement)
+      break
+
+    case 'moveSiteRuleDown':
+      siteRuleElement.nextElementSibling?.after(siteRuleElement)
+      break
+
+    case 'deleteSiteRule':
+      siteRuleElement.remove()
+      break
+
+    default:
+      console.error(
+        'Unknown action: "%s"',
+        actionName
+      )
+  }
+}
+
+/**
+ * Handles input by keeping the legends in sync with the names and URL patterns.
+ *
+ * @param {InputEvent} inputEvent
+ * @returns {void}
+ */
+function onSiteRuleInput(inputEvent) {
+  if (['name', 'matches'].includes(inputEvent.target.name)) {
+    updateSiteRuleLegends()
+  }
+}
@@ -0,0 +1,270 @@
+// This module provides the functionality to deliver the converted text to its destination—
+// the system clipboard, a download, or a file written by the document converter program itself.
+//
+// Downloads: https://developer.chrome.com/docs/extensions/reference/api/downloads
+
+import '../@types/converter.js'
+import { showNotification } from './notifications.js'
+import { getPipelineSteps, getPandocStepIndex } from './pipeline.js'
+import { BUILTIN_CONVERTERS } from './builtin/converters.js'
+
+const DEFAULT_FILENAME = '{title}.{extension}'
+const DEFAULT_EXTENSION = 'txt'
+const MAX_FILENAME_PART_LENGTH = 100
+
+// Chrome rejects URLs longer than 2 MB—downloads are passed as data URLs,
+// since service workers cannot create object URLs.
+const MAX_DOWNLOAD_URL_LENGTH = 2 * 1024 * 1024
+
+/**
+ * File extensions by Pandoc output format.
+ *
+ * https://pandoc.org/MANUAL.html#option--to
+ *
+ * @type {Object<string, string>}
+ */
+const EXTENSIONS = {
+  asciidoc: 'adoc',
+  commonmark: 'md',
+  docx: 'docx',
+  epub: 'epub',
+  gfm: 'md',
+  html: 'html',
+  latex: 'tex',
+  markdown: 'md',
+  odt: 'odt',
+  org: 'org',
+  pdf: 'pdf',
+  plain: 'txt',
+  pptx: 'pptx',
+  rst: 'rst',
+  rtf: 'rtf',
+  typst: 'typ',
+}
+
+/**
+ * Returns the additional arguments to pass to the converter for its destination—
+ * i.e., the Pandoc `--output` option, when the converter writes the file itself.
+ *
+ * https://pandoc.org/MANUAL.html#option--output
+ *
+ * @param {Converter} converter
+ * @param {PageMetadata} pageMetadata
+ * @returns {string[]}
+ */
+export function getOutputArgs(converter, pageMetadata) {
+  switch (converter.destination) {
+    case 'file':
+      return [`--output=${formatFilename(converter, pageMetadata)}`]
+
+    default:
+      return []
+  }
+}
+
+/**
+ * @typedef {object} Output
+ * @property {string} text - The converted text.
+ * @property {?string} html - The `text/html` representation of the converted text, if any.
+ * @property {ImageFile[]} images - The images to save next to the downloaded file.
+ */
+
+/**
+ * Delivers the converted text to the destination of the converter.
+ *
+ * @param {Converter} converter
+ * @param {Output} output
+ * @param {PageMetadata} pageMetadata
+ * @param {number} tabId
+ * @returns {Promise<void>}
+ * @throws {Error} Throws an error if the converted text is too large to download.
+ */
+export async function writeOutput(converter, output, pageMetadata, tabId) {
+  switch (converter.destination ?? 'clipboard') {
+    case 'clipboard':
+      await chrome.scripting.executeScript({
+        target: { tabId },
+        func: output.html === null ? writeTextToClipboard : writeRichTextToClipboard,
+        args: output.html === null ? [output.text] : [output.text, output.html]
+      })
+      break
+
+    case 'download': {
+      const filename = formatFilename(converter, pageMetadata)
+      const directory = filename.slice(0, filename.lastIndexOf('/') + 1)
+      await chrome.downloads.download({
+        url: getDownloadURL(output.text),
+        filename,
+        conflictAction: 'uniquify'
+      })
+      for (const image of output.images) {
+        await chrome.downloads.download({
+          url: image.url,
+          filename: `${directory}${image.filename}`,
+          conflictAction: 'overwrite'
+        })
+      }
+      break
+    }
+
+    case 'file':
+      await showNotification(
+        `Saved as ${converter.name}`,
+        formatFilename(converter, pageMetadata)
+      )
+      break
+  }
+}
+
+/**
+ * Returns the data URL to download the specified text, encoded in Base64—
+ * about 4/3 of its UTF-8 size, whereas percent-encoding triples non-ASCII bytes.
+ *
+ * @param {string} text
+ * @returns {string}
+ * @throws {Error} Throws an error if the text is too large to download.
+ */
+function getDownloadURL(text) {
+  const bytes = new TextEncoder().encode(text)
+  const url = `data:text/plain;charset=utf-8;base64,${encodeBase64(bytes)}`
+  if (url.length > MAX_DOWNLOAD_URL_LENGTH) {
+    throw new Error(
+      `The converted text is too large to download (${(bytes.length / 1_000_000).toFixed(1)} MB)—use the “Write a file with the command” destination instead.`
+    )
+  }
+  return url
+}
+
+/**
+ * Encodes the specified bytes in Base64.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+function encodeBase64(bytes) {
+  const CHUNK_SIZE = 0x8000
+  let binaryString = ''
+  for (let index = 0; index < bytes.length; index += CHUNK_SIZE) {
+    binaryString += String.fromCharCode(...bytes.subarray(index, index + CHUNK_SIZE))
+  }
+  return btoa(binaryString)
+}
+
+/**
+ * Returns the filename of the converter output, by expanding the `{title}`, `{date}`,
+ * `{host}` and `{extension}` placeholders of its filename template.
+ *
+ * @param {Converter} converter
+ * @param {PageMetadata} pageMetadata
+ * @returns {string}
+ */
+export function formatFilename(converter, pageMetadata) {
+  const template = converter.filename ?? DEFAULT_FILENAME
+  const values = {
+    title: pageMetadata.title,
+    date: pageMetadata.captured.slice(0, 10),
+    host: URL.canParse(pageMetadata.url) ? new URL(pageMetadata.url).host : '',
+    extension: converter.extension ?? getDefaultExtension(converter)
+  }
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    name in values
+      ? sanitizeFilenamePart(values[name]) || 'untitled'
+      : placeholder
+  )
+}
+
+/**
+ * Returns the name of the folder to save images in, next to the output file—
+ * i.e., the filename without its extension, followed by `_files`.
+ *
+ * @param {Converter} converter
+ * @param {PageMetadata} pageMetadata
+ * @returns {string}
+ */
+export function getImageFolder(converter, pageMetadata) {
+  const filename = formatFilename(converter, pageMetadata).split('/').pop()
+  return `${filename.replace(/\.[^.]*$/, '')}_files`
+}
+
+/**
+ * Returns the file extension for the output format of the converter.
+ *
+ * @param {Converter} converter
+ * @returns {string}
+ */
+function getDefaultExtension(converter) {
+  const format = getOutputFormat(converter)
+  return format === null
+    ? DEFAULT_EXTENSION
+    : EXTENSIONS[format] ?? DEFAULT_EXTENSION
+}
+
+/**
+ * Returns the output format of the converter, if known—i.e., the value of the Pandoc `-t` or `--to` option
+ * of the Pandoc step, without its extensions, or the format of the built-in converter.
+ *
+ * @param {Converter} converter
+ * @returns {?string}
+ */
+export function getOutputFormat(converter) {
+  if (converter.type === 'builtin') {
+    return BUILTIN_CONVERTERS[converter.command]?.format ?? null
+  }
+  const steps = getPipelineSteps(converter)
+  const { args } = steps[getPandocStepIndex(steps)]
+  for (const [index, arg] of args.entries()) {
+    const format = ['-t', '--to', '-w', '--write'].includes(arg)
+      ? args[index + 1]
+      : arg.match(/^(?:--to|--write)=(.+)$/)?.[1]
+    if (format) {
+      // Strip extensions of the format—e.g., “markdown+smart”.
+      return format.split(/[+-]/)[0]
+    }
+  }
+  return null
+}
+
+/**
+ * Replaces characters that are not allowed in filenames.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function sanitizeFilenamePart(text) {
+  return text
+    .replace(/[\/\\:*?"<>|\x00-\x1f]+/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^\.+|\.+$/g, '')
+    .slice(0, MAX_FILENAME_PART_LENGTH)
+}
+
+/**
+ * Writes the specified text to the system clipboard.
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/writeText
+ *
+ * @param {string} text
+ * @returns {Promise<void>}
+ */
+export async function writeTextToClipboard(text) {
+  await navigator.clipboard.writeText(text)
+}
+
+/**
+ * Writes the specified text to the system clipboard, both as `text/plain` and `text/html`.
+ *
+ * https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/write
+ *
+ * @param {string} text
+ * @param {string} html
+ * @returns {Promise<void>}
+ */
+export async function writeRichTextToClipboard(text, html) {
+  await navigator.clipboard.write([
+    new ClipboardItem({
+      'text/plain': new Blob([text], { type: 'text/plain' }),
+      'text/html': new Blob([html], { type: 'text/html' })
+    })
+  ])
+}
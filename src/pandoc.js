@@ -2,59 +2,677 @@
 // with a document converter program—such as Pandoc.
 
 import '../@types/chrome_shell.js'
+import '../@types/converter.js'
+import { getArticleContent } from './capture/article.js'
+import { getSelectionContent } from './capture/selection.js'
+import { absolutizeURLs } from './capture/urls.js'
+import { applySiteRules } from './capture/rules.js'
+import { getPageMetadata } from './capture/metadata.js'
+import { fetchImages } from './capture/images.js'
+import { getOutputArgs, getOutputFormat, getImageFolder, writeOutput } from './output.js'
+import { recordConversion } from './history.js'
+import { showNotification } from './notifications.js'
+import { getMatchingSiteRules, applySiteSettings } from './site_rules.js'
+import { getPipelineSteps, getPandocStepIndex, isPandocStep } from './pipeline.js'
+import { runBuiltinConverter, findBuiltinConverter } from './builtin/converters.js'
+import { getArgumentValues, getParameterValues, expandArgs, getTextLength } from './arguments.js'
+
+const DEFAULT_MAX_IMAGE_SIZE = 5_000_000
+
+/**
+ * Represents a failure of the document converter program—i.e., a non-zero exit code.
+ * Failures of pipelines report the failing step.
+ */
+export class CommandError extends Error {
+  /**
+   * @param {Command} command
+   * @param {PipelineResult} commandResult
+   */
+  constructor(command, commandResult) {
+    const { failedStep } = commandResult
+    const reason = (
+      commandResult.error.trim() ||
+      `${failedStep?.command ?? command.command} exited with code ${commandResult.status}`
+    )
+    super(
+      failedStep
+        ? `Step ${failedStep.number} (${failedStep.command}) failed: ${reason}`
+        : reason
+    )
+    this.name = 'CommandError'
+    this.status = commandResult.status
+  }
+}
+
+/**
+ * Represents a conversion that did not finish within the timeout of the converter.
+ * The running command is stopped.
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {string} command - The name of the stopped command.
+   * @param {number} timeout - The timeout, in seconds.
+   */
+  constructor(command, timeout) {
+    super(`${command} did not finish within ${timeout} seconds, and was stopped.`)
+    this.name = 'TimeoutError'
+  }
+}
 
 /**
  * Copies clicked element in the specified tab with the given document converter.
  *
+ * The converted text is written to the system clipboard, or saved to a file,
+ * depending on the destination of the converter.
+ *
+ * When an HTML converter is specified, its output is written to the clipboard as `text/html`
+ * alongside the converted text, so that rich text editors keep the formatting.
+ *
+ * Images are embedded as data URIs, or saved next to the downloaded file,
+ * depending on the `images` option of the converter.
+ *
+ * The site rules matching the page set the environment variables, working directory and timeout
+ * of the converters—see `applySiteSettings()`.
+ * The placeholders of their arguments are expanded from the page—see `expandArgs()`.
+ *
+ * The conversion is then recorded in the history.
+ *
  * - https://github.com/taupiqueur/chrome-shell/blob/master/docs/api.md
  * - https://developer.chrome.com/docs/extensions/reference/api/scripting#type-InjectionTarget
  * - https://developer.chrome.com/docs/extensions/reference/api/contextMenus#type-OnClickData
  *
- * @param {Command} converterCommand
+ * @param {Converter} converter
  * @param {chrome.scripting.InjectionTarget} injectionTarget
  * @param {chrome.contextMenus.OnClickData} clickedData
+ * @param {?Converter} [htmlConverter=null]
+ * @param {Object<string, string | number | boolean>} [parameterValues={}] - The parameters entered for the converter.
  * @returns {Promise<void>}
+ * @throws {CommandError} Throws an error if the document converter program fails.
+ * @throws {TimeoutError} Throws an error if the document converter program does not finish in time.
+ */
+export async function pandoc(converter, injectionTarget, clickedData, htmlConverter = null, parameterValues = {}) {
+  const siteRules = await getTabSiteRules(injectionTarget.tabId)
+  const converterCommand = applySiteSettings(converter, siteRules)
+  const htmlConverterCommand = htmlConverter && applySiteSettings(htmlConverter, siteRules)
+
+  const [capturedInput, pageMetadata] = await Promise.all([
+    captureClickedElement(converterCommand, injectionTarget, clickedData),
+    capturePageMetadata(injectionTarget.tabId),
+  ])
+
+  const { html: input, images } = await captureImages(converterCommand, capturedInput, pageMetadata, injectionTarget.tabId)
+
+  const selectionLength = getSelectionLength(clickedData, capturedInput)
+
+  const commandResult = await convert(converterCommand, input, pageMetadata, getOutputArgs(converterCommand, pageMetadata), selectionLength, parameterValues)
+
+  if (commandResult.status !== 0) {
+    throw new CommandError(converterCommand, commandResult)
+  }
+
+  const html = await convertToHTML(htmlConverterCommand, converterCommand, commandResult, input, pageMetadata, selectionLength)
+
+  await writeOutput(converterCommand, {
+    text: commandResult.output,
+    html,
+    images
+  }, pageMetadata, injectionTarget.tabId)
+
+  await recordConversion({
+    converterName: converterCommand.name,
+    input,
+    output: commandResult.output,
+    pageMetadata
+  })
+}
+
+/**
+ * Returns the `text/html` representation of the converted text, if any.
+ *
+ * A converter whose HTML converter is itself already outputs HTML.
+ *
+ * @param {?Converter} htmlConverterCommand
+ * @param {Converter} converterCommand
+ * @param {Pick<CommandResult, 'output'>} commandResult
+ * @param {string} input
+ * @param {PageMetadata} pageMetadata
+ * @param {number} selectionLength
+ * @returns {Promise<?string>}
+ * @throws {CommandError} Throws an error if the HTML converter fails.
+ */
+export async function convertToHTML(htmlConverterCommand, converterCommand, commandResult, input, pageMetadata, selectionLength) {
+  if (htmlConverterCommand === null) {
+    return null
+  }
+
+  if (htmlConverterCommand.name === converterCommand.name) {
+    return commandResult.output
+  }
+
+  const htmlCommandResult = await convert(htmlConverterCommand, input, pageMetadata, [], selectionLength)
+
+  if (htmlCommandResult.status !== 0) {
+    throw new CommandError(htmlConverterCommand, htmlCommandResult)
+  }
+
+  return htmlCommandResult.output
+}
+
+/**
+ * Returns the HTML serialization of the clicked element in the specified tab.
+ *
+ * Whole-page copies capture the main content of the page
+ * when the converter has the `pageContent: "article"` option.
+ *
+ * Selections are captured in every frame of the injection target—frames with no selection
+ * are skipped, and the others are ordered in document order.
+ * When several frames have a selection, the content of each frame is labeled
+ * with a `<section>` element, with the URL of the frame as `data-frame-url` attribute.
+ *
+ * Picked elements and right-clicked blocks that are no longer in the page fail the capture, rather than copying nothing.
+ *
+ * The captured HTML of each frame is then post-processed in its frame—i.e.,
+ * to apply the site rules matching the page, and to resolve relative URLs
+ * against the base URL of the frame.
+ *
+ * - https://developer.chrome.com/docs/extensions/reference/api/scripting#type-InjectionTarget
+ * - https://developer.chrome.com/docs/extensions/reference/api/contextMenus#type-OnClickData
+ *
+ * @param {Converter} converter
+ * @param {chrome.scripting.InjectionTarget} injectionTarget
+ * @param {chrome.contextMenus.OnClickData} clickedData
+ * @returns {Promise<string>}
+ * @throws {Error} Throws an error if the picked element or the right-clicked block is no longer in the page.
  */
-export async function pandoc(converterCommand, injectionTarget, clickedData) {
+export async function captureClickedElement(converter, injectionTarget, clickedData) {
   const injectionResults = await chrome.scripting.executeScript({
     target: injectionTarget,
-    func: getClickedElement,
-    args: [clickedData]
+    ...getCaptureInjection(converter, clickedData)
   })
 
-  const input = injectionResults.reduce((selectedText, injectionResult) =>
-    selectedText.concat(injectionResult.result), ''
+  const frameContents = injectionResults
+    .filter((injectionResult) => injectionResult.result !== null && injectionResult.result !== undefined)
+    .map((injectionResult) => ({
+      frameId: injectionResult.frameId,
+      ...(
+        typeof injectionResult.result === 'string'
+          ? { framePath: [], url: null, html: injectionResult.result }
+          : injectionResult.result
+      )
+    }))
+    .sort((frameContent, otherFrameContent) =>
+      compareFramePaths(frameContent.framePath, otherFrameContent.framePath)
+    )
+
+  // Do not overwrite the clipboard with an empty conversion.
+  const missingElementMessage = getMissingElementMessage(clickedData)
+  if (frameContents.length === 0 && missingElementMessage !== null) {
+    throw new Error(missingElementMessage)
+  }
+
+  const siteRules = await getTabSiteRules(injectionTarget.tabId)
+
+  const frameResults = await Promise.all(
+    frameContents.map(async (frameContent) => {
+      const tailoredHTML = siteRules.length > 0
+        ? await runInFrame(injectionTarget.tabId, frameContent.frameId, applySiteRules, [
+          frameContent.html,
+          siteRules
+        ])
+        : frameContent.html
+      const html = await runInFrame(injectionTarget.tabId, frameContent.frameId, absolutizeURLs, [
+        tailoredHTML
+      ])
+      return frameContents.length > 1 && frameContent.url !== null
+        ? `<section data-frame-url="${escapeHTMLAttribute(frameContent.url)}">${html}</section>`
+        : html
+    })
   )
 
-  /**
-   * @type {CommandResult}
-   */
-  const commandResult = await chrome.runtime.sendNativeMessage('shell', {
-    command: converterCommand.command,
-    args: converterCommand.args,
-    input,
-    output: true
+  return frameResults.join('')
+}
+
+/**
+ * Returns the error message for the specified click when no frame captured its element—
+ * or `null` when the click may capture nothing, such as an empty selection.
+ *
+ * @param {chrome.contextMenus.OnClickData} clickedData
+ * @returns {?string}
+ */
+function getMissingElementMessage(clickedData) {
+  switch (true) {
+    case 'pickedElement' in clickedData:
+      return 'The picked element is no longer in the page—e.g., after a navigation. Pick it again.'
+
+    case 'contextBlock' in clickedData:
+      return 'The right-clicked block is no longer in the page—or the page was opened before enabling the option. Right-click it again, or reload the page.'
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Returns the number of characters of the selected text—`0` when the specified click
+ * does not copy the selection.
+ *
+ * @param {chrome.contextMenus.OnClickData} clickedData
+ * @param {string} capturedInput
+ * @returns {number}
+ */
+export function getSelectionLength(clickedData, capturedInput) {
+  return isSelectionClick(clickedData)
+    ? getTextLength(capturedInput)
+    : 0
+}
+
+/**
+ * Returns the specified converter with the settings of the site rules matching the given URL—
+ * see `applySiteSettings()`.
+ *
+ * @param {Converter} converter
+ * @param {?string} url
+ * @returns {Promise<Converter>}
+ */
+export async function getSiteConverter(converter, url) {
+  const { siteRules = [] } = await chrome.storage.sync.get('siteRules')
+  return applySiteSettings(converter, getMatchingSiteRules(siteRules, url))
+}
+
+/**
+ * Returns the site rules matching the page in the specified tab.
+ *
+ * @param {number} tabId
+ * @returns {Promise<SiteRule[]>}
+ */
+async function getTabSiteRules(tabId) {
+  const [tab, { siteRules = [] }] = await Promise.all([
+    chrome.tabs.get(tabId),
+    chrome.storage.sync.get('siteRules'),
+  ])
+  return getMatchingSiteRules(siteRules, tab.url)
+}
+
+/**
+ * Returns the function to inject—and its arguments—to capture the clicked element.
+ *
+ * @param {Converter} converter
+ * @param {chrome.contextMenus.OnClickData} clickedData
+ * @returns {{ func: Function, args?: any[] }}
+ */
+function getCaptureInjection(converter, clickedData) {
+  switch (true) {
+    case isPageClick(clickedData) && converter.pageContent === 'article':
+      return {
+        func: getArticleContent
+      }
+
+    case isSelectionClick(clickedData):
+      return {
+        func: getSelectionContent
+      }
+
+    default:
+      return {
+        func: getClickedElement,
+        args: [clickedData]
+      }
+  }
+}
+
+/**
+ * Compares the positions of frames in the frame tree, in document order—
+ * i.e., a frame comes after its parent frame, and before its next sibling frames.
+ *
+ * @param {number[]} framePath
+ * @param {number[]} otherFramePath
+ * @returns {number}
+ */
+function compareFramePaths(framePath, otherFramePath) {
+  for (let index = 0; index < Math.min(framePath.length, otherFramePath.length); index++) {
+    if (framePath[index] !== otherFramePath[index]) {
+      return framePath[index] - otherFramePath[index]
+    }
+  }
+  return framePath.length - otherFramePath.length
+}
+
+/**
+ * Escapes the specified text to be used as an HTML attribute value.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTMLAttribute(text) {
+  return text
+    .replaceAll('&', '&amp;')
+    .replaceAll('"', '&quot;')
+    .replaceAll('<', '&lt;')
+}
+
+/**
+ * Fetches the images of the captured HTML in the specified tab, with the cookies of the user—
+ * to embed them as data URIs, or to save them next to the downloaded file.
+ *
+ * @param {Converter} converter
+ * @param {string} input
+ * @param {PageMetadata} pageMetadata
+ * @param {number} tabId
+ * @returns {Promise<{ html: string, images: ImageFile[] }>}
+ */
+export async function captureImages(converter, input, pageMetadata, tabId) {
+  const options = {
+    maxImageSize: converter.maxImageSize ?? DEFAULT_MAX_IMAGE_SIZE,
+    skipImages: converter.skipImages ?? []
+  }
+  switch (converter.images ?? 'link') {
+    case 'embed':
+      return runInFrame(tabId, 0, fetchImages, [input, { ...options, folder: null }])
+
+    case 'download':
+      return runInFrame(tabId, 0, fetchImages, [input, { ...options, folder: getImageFolder(converter, pageMetadata) }])
+
+    default:
+      return { html: input, images: [] }
+  }
+}
+
+/**
+ * Returns the metadata of the page in the specified tab.
+ *
+ * @param {number} tabId
+ * @returns {Promise<PageMetadata>}
+ */
+export async function capturePageMetadata(tabId) {
+  return runInFrame(tabId, 0, getPageMetadata, [])
+}
+
+/**
+ * Runs the specified function in the given frame, and returns its result.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @template Result
+ * @param {number} tabId
+ * @param {number} frameId
+ * @param {(...args: any[]) => Result} func
+ * @param {any[]} args
+ * @returns {Promise<Awaited<Result>>}
+ */
+async function runInFrame(tabId, frameId, func, args) {
+  const [injectionResult] = await chrome.scripting.executeScript({
+    target: { tabId, frameIds: [frameId] },
+    func,
+    args
   })
+  return injectionResult.result
+}
 
-  if (commandResult.status === 0) {
-    await chrome.scripting.executeScript({
-      target: { tabId: injectionTarget.tabId },
-      func: writeTextToClipboard,
-      args: [commandResult.output]
-    })
+/**
+ * Runs the document converter program with the specified input,
+ * capturing its *stdout* and *stderr* streams.
+ *
+ * Built-in converters run in the extension itself. Other converters fall back
+ * to a built-in converter when the shell application is unavailable—see `getFallbackConverter()`—
+ * but not when they time out. The fallback is shown in a notification,
+ * and its name returned in the `fallback` field of the result.
+ *
+ * @param {Converter} converterCommand
+ * @param {string} input
+ * @param {?PageMetadata} [pageMetadata=null]
+ * @param {string[]} [extraArgs=[]]
+ * @param {number} [selectionLength=0] - The number of characters of the selected text, for the `{selection_length}` placeholder.
+ * @param {Object<string, string | number | boolean>} [parameterValues={}] - The parameters entered for the converter—others expand to their default value.
+ * @returns {Promise<PipelineResult>}
+ * @throws {TimeoutError} Throws an error if the document converter program does not finish in time.
+ */
+export async function convert(converterCommand, input, pageMetadata = null, extraArgs = [], selectionLength = 0, parameterValues = {}) {
+  if (converterCommand.type === 'builtin') {
+    return runBuiltinConverter(converterCommand.command, input)
+  }
+  try {
+    return await runPipeline(converterCommand, input, pageMetadata, extraArgs, selectionLength, parameterValues)
+  } catch (error) {
+    // The shell application is not installed, or not allowed to run.
+    const fallbackName = error instanceof TimeoutError
+      ? null
+      : getFallbackConverter(converterCommand)
+    if (fallbackName === null) {
+      throw error
+    }
+    console.error(error)
+    await showNotification(
+      `Converted with the built-in “${fallbackName}” converter`,
+      `“${converterCommand.name}” could not run: ${error.message}`
+    )
+    return {
+      ...runBuiltinConverter(fallbackName, input),
+      fallback: fallbackName
+    }
+  }
+}
+
+/**
+ * Runs the document converter program with the specified input, as `convert()` does—
+ * without falling back to a built-in converter, so that the failures of the shell application are reported.
+ *
+ * @param {Converter} converterCommand
+ * @param {string} input
+ * @param {?PageMetadata} [pageMetadata=null]
+ * @param {string[]} [extraArgs=[]]
+ * @param {number} [selectionLength=0]
+ * @param {Object<string, string | number | boolean>} [parameterValues={}]
+ * @returns {Promise<PipelineResult>}
+ * @throws {TimeoutError} Throws an error if the document converter program does not finish in time.
+ */
+export async function convertWithoutFallback(converterCommand, input, pageMetadata = null, extraArgs = [], selectionLength = 0, parameterValues = {}) {
+  if (converterCommand.type === 'builtin') {
+    return runBuiltinConverter(converterCommand.command, input)
+  }
+  return runPipeline(converterCommand, input, pageMetadata, extraArgs, selectionLength, parameterValues)
+}
+
+/**
+ * Returns the name of the built-in converter to fall back to, if any—the `fallback` option,
+ * or the built-in converter matching the output format of the converter by default.
+ *
+ * Converters writing the file themselves have no fallback, as the file would not be written.
+ *
+ * @param {Converter} converter
+ * @returns {?string}
+ */
+function getFallbackConverter(converter) {
+  if (converter.destination === 'file') {
+    return null
+  }
+  switch (converter.fallback ?? 'auto') {
+    case 'auto':
+      return findBuiltinConverter(getOutputFormat(converter))
+
+    case 'none':
+      return null
+
+    default:
+      return converter.fallback
   }
 }
 
+/**
+ * Runs the steps of the converter with the shell application.
+ *
+ * Converters with several steps run each step with the output of the previous step as input,
+ * and stop at the first failing step.
+ *
+ * The Pandoc step receives the specified additional arguments, and—for converters
+ * with the `metadata` option—the page metadata as `--metadata` arguments,
+ * when it runs `pandoc`.
+ *
+ * The placeholders of the step arguments are expanded from the page and the parameters in a single pass—
+ * see `expandArgs()`—and parameters not asked for expand to their default values.
+ * Every step runs with the environment variables and the working directory of the converter.
+ * The `timeout` option limits the duration of the whole pipeline.
+ *
+ * https://github.com/taupiqueur/chrome-shell/blob/master/docs/api.md
+ *
+ * @param {Converter} converterCommand
+ * @param {string} input
+ * @param {?PageMetadata} pageMetadata
+ * @param {string[]} extraArgs - The additional Pandoc arguments, dropped when no step runs `pandoc`.
+ * @param {number} selectionLength
+ * @param {Object<string, string | number | boolean>} parameterValues
+ * @returns {Promise<PipelineResult>}
+ * @throws {TimeoutError} Throws an error if the pipeline does not finish in time.
+ */
+async function runPipeline(converterCommand, input, pageMetadata, extraArgs, selectionLength, parameterValues) {
+  const steps = getPipelineSteps(converterCommand)
+  const argumentValues = {
+    ...getParameterValues(converterCommand, parameterValues),
+    ...getArgumentValues(pageMetadata, selectionLength)
+  }
+  const pandocStepIndex = getPandocStepIndex(steps)
+  // Other commands would not understand the `--metadata` and `--output` arguments.
+  const pandocArgs = isPandocStep(steps[pandocStepIndex])
+    ? [...(converterCommand.metadata && pageMetadata ? getMetadataArgs(pageMetadata) : []), ...extraArgs]
+    : []
+  const deadline = converterCommand.timeout === undefined
+    ? null
+    : Date.now() + converterCommand.timeout * 1000
+
+  let commandResult
+  for (const [index, step] of steps.entries()) {
+    const command = {
+      command: step.command,
+      args: index === pandocStepIndex
+        ? [...expandArgs(step.args, argumentValues), ...pandocArgs]
+        : expandArgs(step.args, argumentValues),
+      env: converterCommand.env ?? {},
+      dir: converterCommand.dir ?? null,
+      input: index === 0 ? input : commandResult.output,
+      output: true,
+      error: true
+    }
+    commandResult = deadline === null
+      ? await chrome.runtime.sendNativeMessage('shell', command)
+      : await runCommandUntil(command, deadline, converterCommand.timeout)
+    if (commandResult.status !== 0) {
+      return steps.length > 1
+        ? { ...commandResult, failedStep: { number: index + 1, command: step.command } }
+        : commandResult
+    }
+  }
+  return commandResult
+}
+
+/**
+ * Runs the specified command with the shell application, and stops it at the given deadline.
+ *
+ * The command is sent over a long-lived connection—closing the connection
+ * terminates the shell application, and with it the command.
+ *
+ * https://developer.chrome.com/docs/extensions/develop/concepts/native-messaging#native-messaging-client
+ *
+ * @param {Command} command
+ * @param {number} deadline - The time at which the command is stopped, in milliseconds since the epoch.
+ * @param {number} timeout - The timeout of the converter, in seconds, for the error message.
+ * @returns {Promise<CommandResult>}
+ * @throws {TimeoutError} Throws an error if the command does not finish before the deadline.
+ */
+function runCommandUntil(command, deadline, timeout) {
+  return new Promise((resolve, reject) => {
+    const port = chrome.runtime.connectNative('shell')
+    const timeoutId = setTimeout(() => {
+      port.disconnect()
+      reject(new TimeoutError(command.command, timeout))
+    }, Math.max(0, deadline - Date.now()))
+    port.onMessage.addListener((commandResult) => {
+      clearTimeout(timeoutId)
+      port.disconnect()
+      resolve(commandResult)
+    })
+    port.onDisconnect.addListener(() => {
+      clearTimeout(timeoutId)
+      reject(new Error(chrome.runtime.lastError?.message ?? 'The shell application exited unexpectedly.'))
+    })
+    port.postMessage(command)
+  })
+}
+
+/**
+ * Returns the Pandoc arguments to set the specified page metadata.
+ *
+ * https://pandoc.org/MANUAL.html#option--metadata
+ *
+ * @param {PageMetadata} pageMetadata
+ * @returns {string[]}
+ */
+function getMetadataArgs(pageMetadata) {
+  return Object.entries(pageMetadata)
+    .filter(([key, value]) => value !== null)
+    .map(([key, value]) => `--metadata=${key}:${value}`)
+}
+
+/**
+ * Determines whether the specified click copies the whole page—i.e., when nothing is selected,
+ * and no media is clicked.
+ *
+ * @param {chrome.contextMenus.OnClickData} clickedData
+ * @returns {boolean}
+ */
+function isPageClick(clickedData) {
+  return (
+    !('selectionText' in clickedData) &&
+    !('pickedElement' in clickedData) &&
+    !('contextBlock' in clickedData) &&
+    !['image', 'video', 'audio'].includes(clickedData.mediaType)
+  )
+}
+
+/**
+ * Determines whether the specified click copies the selection—i.e., when text is selected,
+ * and no link or media is clicked.
+ *
+ * @param {chrome.contextMenus.OnClickData} clickedData
+ * @returns {boolean}
+ */
+function isSelectionClick(clickedData) {
+  return (
+    'selectionText' in clickedData &&
+    !('linkUrl' in clickedData) &&
+    !['image', 'video', 'audio'].includes(clickedData.mediaType)
+  )
+}
+
 /**
  * Returns a string containing the HTML serialization of the clicked element.
+ * Selections are captured with `getSelectionContent()`.
+ *
+ * Elements picked with `pickElement()` are marked with the `data-pandoc-picked` attribute.
+ * Blocks around right-clicks—tables, lists, code blocks, figures and quotes—are recorded
+ * by the `context_block.js` content script, and copied with their captions and attributes.
  *
  * https://developer.chrome.com/docs/extensions/reference/api/contextMenus#type-OnClickData
  *
  * @param {chrome.contextMenus.OnClickData} clickedData
- * @returns {string}
+ * @returns {?string}
  */
 function getClickedElement(clickedData) {
   switch (true) {
+    case 'pickedElement' in clickedData: {
+      const pickedElement = document.querySelector('[data-pandoc-picked]')
+      if (pickedElement === null) {
+        return null
+      }
+      pickedElement.removeAttribute('data-pandoc-picked')
+      return pickedElement.outerHTML
+    }
+
+    case 'contextBlock' in clickedData: {
+      const blockElement = globalThis.pandocContextBlock
+      return blockElement?.isConnected
+        ? blockElement.outerHTML
+        : null
+    }
+
     case 'linkUrl' in clickedData && clickedData.mediaType === 'image': {
       const anchorElement = document.createElement('a')
       anchorElement.href = clickedData.linkUrl
@@ -89,34 +707,12 @@ function getClickedElement(clickedData) {
       return imageElement.outerHTML
     }
 
-    case 'selectionText' in clickedData: {
-      const selection = window.getSelection()
-      const templateElement = document.createElement('template')
-      const documentFragments = Array.from({ length: selection.rangeCount }, (_, index) =>
-        selection.getRangeAt(index).cloneContents()
-      )
-      templateElement.content.append(...documentFragments)
-      return templateElement.innerHTML
-    }
-
     case 'pageUrl' in clickedData: {
       return document.documentElement.outerHTML
     }
   }
 }
 
-/**
- * Writes the specified text to the system clipboard.
- *
- * https://developer.mozilla.org/en-US/docs/Web/API/Clipboard/writeText
- *
- * @param {string} text
- * @returns {Promise<void>}
- */
-async function writeTextToClipboard(text) {
-  await navigator.clipboard.writeText(text)
-}
-
 export default {
   command: 'pandoc',
   args: ['-f', 'html', '-t', 'markdown'],
@@ -0,0 +1,220 @@
+// This module provides the functionality to ask for the parameters of a converter in webpages,
+// with a small dialog—e.g., to choose the wrap column or the output format variant at each copy.
+//
+// The dialog is injected in webpages, and must therefore be self-contained.
+// It is rendered in a closed shadow root, so that page styles do not apply.
+//
+// Shadow DOM: https://developer.mozilla.org/en-US/docs/Web/API/Web_components/Using_shadow_DOM
+
+/**
+ * Shows the parameter dialog of the specified converter, and returns the entered values
+ * by parameter name, or `null` when dismissed.
+ *
+ * The fields are filled with the default values of the parameters.
+ * The selection of the page is restored when the dialog is closed,
+ * so that it can be copied with the entered values.
+ *
+ * https://developer.chrome.com/docs/extensions/reference/api/scripting#method-executeScript
+ *
+ * @param {string} converterName
+ * @param {Array<ConverterParameter & { value: string | number | boolean }>} params - The parameters, with their default value.
+ * @returns {Promise<?Object<string, string | number | boolean>>}
+ */
+export function promptParameters(converterName, params) {
+  const STYLE = `
+    :host {
+      all: initial;
+    }
+
+    .backdrop {
+      position: fixed;
+      inset: 0;
+      z-index: 2147483647;
+      display: flex;
+      align-items: flex-start;
+      justify-content: center;
+      padding-top: 15vh;
+      background-color: rgb(0 0 0 / 25%);
+      color-scheme: light dark;
+      font-family: system-ui;
+      font-size: 14px;
+    }
+
+    form {
+      display: grid;
+      gap: 8px;
+      width: 320px;
+      padding: 12px;
+      border-radius: 8px;
+      background-color: Canvas;
+      color: CanvasText;
+      box-shadow: 0 8px 24px rgb(0 0 0 / 35%);
+    }
+
+    h2 {
+      margin: 0 0 4px;
+      font-size: inherit;
+    }
+
+    label {
+      display: grid;
+      gap: 2px;
+    }
+
+    label.checkbox {
+      display: flex;
+      gap: 6px;
+      align-items: center;
+    }
+
+    input,
+    select,
+    button {
+      font: inherit;
+    }
+
+    .buttons {
+      display: flex;
+      gap: 6px;
+      justify-content: flex-end;
+      margin-top: 4px;
+    }
+  `
+
+  const selection = window.getSelection()
+  const ranges = Array.from({ length: selection.rangeCount }, (_, index) =>
+    selection.getRangeAt(index)
+  )
+  const activeElement = document.activeElement
+
+  const hostElement = document.createElement('div')
+  const shadowRoot = hostElement.attachShadow({ mode: 'closed' })
+  const styleElement = document.createElement('style')
+  const backdropElement = document.createElement('div')
+  const formElement = document.createElement('form')
+  const headingElement = document.createElement('h2')
+  const buttonsElement = document.createElement('div')
+  const cancelButtonElement = document.createElement('button')
+  const submitButtonElement = document.createElement('button')
+
+  styleElement.textContent = STYLE
+  backdropElement.className = 'backdrop'
+  formElement.setAttribute('aria-labelledby', 'heading')
+  headingElement.id = 'heading'
+  headingElement.textContent = `Copy as ${converterName}`
+  buttonsElement.className = 'buttons'
+  cancelButtonElement.type = 'button'
+  cancelButtonElement.textContent = 'Cancel'
+  submitButtonElement.type = 'submit'
+  submitButtonElement.textContent = 'Copy'
+
+  const fieldElements = params.map((param) => {
+    const labelElement = document.createElement('label')
+    const labelTextElement = document.createElement('span')
+    labelTextElement.textContent = param.label ?? param.name
+    switch (param.type) {
+      case 'enum': {
+        const selectElement = document.createElement('select')
+        selectElement.append(
+          ...param.options.map((option) => new Option(option, option))
+        )
+        selectElement.value = param.value.toString()
+        labelElement.append(labelTextElement, selectElement)
+        break
+      }
+
+      case 'boolean': {
+        const inputElement = document.createElement('input')
+        inputElement.type = 'checkbox'
+        inputElement.checked = param.value === true
+        labelElement.className = 'checkbox'
+        labelElement.append(inputElement, labelTextElement)
+        break
+      }
+
+      default: {
+        const inputElement = document.createElement('input')
+        inputElement.type = param.type === 'number' ? 'number' : 'text'
+        inputElement.step = 'any'
+        inputElement.required = param.type === 'number'
+        inputElement.spellcheck = false
+        inputElement.value = param.value.toString()
+        labelElement.append(labelTextElement, inputElement)
+      }
+    }
+    return labelElement
+  })
+
+  buttonsElement.append(cancelButtonElement, submitButtonElement)
+  formElement.append(headingElement, ...fieldElements, buttonsElement)
+  backdropElement.append(formElement)
+  shadowRoot.append(styleElement, backdropElement)
+  document.documentElement.append(hostElement)
+
+  return new Promise((resolve) => {
+    /**
+     * Returns the entered values, by parameter name.
+     *
+     * @returns {Object<string, string | number | boolean>}
+     */
+    function getValues() {
+      return Object.fromEntries(
+        params.map((param, index) => {
+          const fieldElement = fieldElements[index].querySelector('input, select')
+          switch (param.type) {
+            case 'number':
+              return [param.name, fieldElement.valueAsNumber]
+
+            case 'boolean':
+              return [param.name, fieldElement.checked]
+
+            default:
+              return [param.name, fieldElement.value]
+          }
+        })
+      )
+    }
+
+    /**
+     * Closes the dialog, restores the selection of the page, and resolves with the specified values.
+     *
+     * @param {?Object<string, string | number | boolean>} values
+     * @returns {void}
+     */
+    function close(values) {
+      hostElement.remove()
+      activeElement?.focus?.({ preventScroll: true })
+      selection.removeAllRanges()
+      for (const range of ranges) {
+        selection.addRange(range)
+      }
+      resolve(values)
+    }
+
+    formElement.addEventListener('submit', (submitEvent) => {
+      submitEvent.preventDefault()
+      close(getValues())
+    })
+
+    formElement.addEventListener('keydown', (keyboardEvent) => {
+      if (keyboardEvent.key === 'Escape') {
+        keyboardEvent.preventDefault()
+        close(null)
+      }
+      // Keep the keyboard shortcuts of the page from handling typed keys.
+      keyboardEvent.stopPropagation()
+    })
+
+    cancelButtonElement.addEventListener('click', () => {
+      close(null)
+    })
+
+    backdropElement.addEventListener('click', (pointerEvent) => {
+      if (pointerEvent.target === backdropElement) {
+        close(null)
+      }
+    })
+
+    formElement.querySelector('input, select, button').focus()
+  })
+}
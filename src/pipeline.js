@@ -0,0 +1,61 @@
+// This module provides the functionality to describe converters as pipelines—
+// the converter command, followed by the commands its output is piped through.
+// E.g., `tidy` then `pandoc`, or `pandoc` then `sed`.
+//
+// Each step is run with the shell application, with the output of the previous step as input,
+// so that pipelines do not depend on a shell—such as `sh -c`.
+
+import '../@types/converter.js'
+
+/**
+ * @typedef {object} FailedStep
+ * @property {number} number - The position of the step in the pipeline, starting at 1.
+ * @property {string} command - The command name of the step.
+ */
+
+/**
+ * @typedef {object} PipelineResult
+ * @property {number} status - The exit code of the last process run.
+ * @property {string} output - Captured *stdout* stream of the last process run.
+ * @property {string} error - Captured *stderr* stream of the last process run.
+ * @property {FailedStep} [failedStep] - The step that failed, for converters with several steps.
+ * @property {string} [fallback] - The built-in converter run instead, when the shell application is unavailable.
+ */
+
+/**
+ * Returns the steps of the specified converter, in order—its command,
+ * followed by the commands its output is piped through.
+ *
+ * @param {Converter} converter
+ * @returns {Array<{ command: string, args: string[] }>}
+ */
+export function getPipelineSteps(converter) {
+  return [converter, ...(converter.steps ?? [])].map((step) => ({
+    command: step.command,
+    args: step.args ?? []
+  }))
+}
+
+/**
+ * Returns the index of the Pandoc step of the specified pipeline—the last step
+ * running `pandoc`, or the converter command when there is none.
+ *
+ * The Pandoc step receives the Pandoc options of the converter—e.g., `--metadata` and `--output`—
+ * and its output format determines the default file extension.
+ *
+ * @param {Array<{ command: string, args: string[] }>} steps
+ * @returns {number}
+ */
+export function getPandocStepIndex(steps) {
+  return Math.max(steps.findLastIndex(isPandocStep), 0)
+}
+
+/**
+ * Determines whether the specified step runs `pandoc`.
+ *
+ * @param {{ command: string, args: string[] }} step
+ * @returns {boolean}
+ */
+export function isPandocStep(step) {
+  return /^pandoc(?:\.exe)?$/i.test(step.command.split(/[\\/]/).pop())
+}
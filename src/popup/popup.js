@@ -0,0 +1,209 @@
+// This module contains the toolbar button popup actions to pick a converter,
+// with a list that can be filtered by typing and navigated with the keyboard.
+//
+// The popup is closed before the conversion, so that the page gets the focus back—
+// writing to the clipboard requires the page to be focused.
+
+const port = chrome.runtime.connect({
+  name: 'popup'
+})
+
+const filterInputElement = document.getElementById('filter_input')
+const converterListElement = document.getElementById('converter_list')
+const converterListPlaceholderElement = document.getElementById('converter_list_placeholder')
+const rememberLastConverterInputElement = document.getElementById('remember_last_converter')
+
+/**
+ * @type {HTMLLIElement[]}
+ */
+let listItemElements = []
+
+port.onMessage.addListener(onMessage)
+
+filterInputElement.addEventListener('input', filterConverters)
+filterInputElement.addEventListener('keydown', onKeyDown)
+
+converterListElement.addEventListener('click', (pointerEvent) => {
+  const listItemElement = pointerEvent.target.closest('li')
+  if (listItemElement) {
+    runConverter(listItemElement)
+  }
+})
+
+rememberLastConverterInputElement.addEventListener('change', () => {
+  chrome.storage.sync.set({
+    rememberLastConverter: rememberLastConverterInputElement.checked
+  })
+})
+
+Promise.all([
+  chrome.storage.sync.get(['converters', 'rememberLastConverter']),
+  chrome.storage.local.get('lastConverterName'),
+]).then(([{ converters = [], rememberLastConverter = false }, { lastConverterName }]) => {
+  rememberLastConverterInputElement.checked = rememberLastConverter
+  renderConverters(converters)
+  const lastListItemElement = rememberLastConverter
+    ? listItemElements.find((listItemElement) => listItemElement.textContent === lastConverterName)
+    : undefined
+  selectItem(lastListItemElement ?? listItemElements[0] ?? null)
+})
+
+/**
+ * Handles message by using a discriminator field. Each message has a `type` field,
+ * and the rest of the fields, and their meaning, depend on its value.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @returns {void}
+ */
+function onMessage(message) {
+  switch (message.type) {
+    case 'error':
+      console.error(message.message)
+      break
+
+    default:
+      console.error(
+        'Unknown message: "%s"',
+        message.type
+      )
+  }
+}
+
+/**
+ * Sends a single message to the service worker.
+ *
+ * @param {any} message
+ * @returns {void}
+ */
+function sendMessage(message) {
+  port.postMessage(message)
+}
+
+/**
+ * Renders the list of converters.
+ *
+ * @param {Converter[]} converters
+ * @returns {void}
+ */
+function renderConverters(converters) {
+  listItemElements = converters.map((converter, index) => {
+    const listItemElement = document.createElement('li')
+    listItemElement.setAttribute('role', 'option')
+    listItemElement.textContent = converter.name
+    listItemElement.dataset.index = index.toString()
+    return listItemElement
+  })
+  converterListElement.replaceChildren(...listItemElements)
+  converterListPlaceholderElement.hidden = listItemElements.length > 0
+}
+
+/**
+ * Hides the converters not matching the filter, and selects the first visible one.
+ *
+ * @returns {void}
+ */
+function filterConverters() {
+  const query = filterInputElement.value.trim().toLowerCase()
+  for (const listItemElement of listItemElements) {
+    listItemElement.hidden = !listItemElement.textContent.toLowerCase().includes(query)
+  }
+  const visibleItems = getVisibleItems()
+  converterListPlaceholderElement.hidden = visibleItems.length > 0
+  selectItem(visibleItems[0] ?? null)
+}
+
+/**
+ * Handles keyboard navigation in the list of converters.
+ *
+ * @param {KeyboardEvent} keyboardEvent
+ * @returns {void}
+ */
+function onKeyDown(keyboardEvent) {
+  switch (keyboardEvent.key) {
+    case 'ArrowDown':
+      moveSelection(1)
+      break
+
+    case 'ArrowUp':
+      moveSelection(-1)
+      break
+
+    case 'Enter': {
+      const selectedItemElement = getVisibleItems().find((listItemElement) =>
+        listItemElement.getAttribute('aria-selected') === 'true'
+      )
+      if (selectedItemElement) {
+        runConverter(selectedItemElement)
+      }
+      break
+    }
+
+    default:
+      return
+  }
+  keyboardEvent.preventDefault()
+}
+
+/**
+ * Returns the visible items.
+ *
+ * @returns {HTMLLIElement[]}
+ */
+function getVisibleItems() {
+  return listItemElements.filter((listItemElement) => !listItemElement.hidden)
+}
+
+/**
+ * Selects the specified item.
+ *
+ * @param {?HTMLLIElement} selectedItemElement
+ * @returns {void}
+ */
+function selectItem(selectedItemElement) {
+  for (const listItemElement of listItemElements) {
+    listItemElement.setAttribute('aria-selected', (listItemElement === selectedItemElement).toString())
+  }
+  selectedItemElement?.scrollIntoView({ block: 'nearest' })
+}
+
+/**
+ * Moves the selection by the specified offset, wrapping around.
+ *
+ * @param {number} offset
+ * @returns {void}
+ */
+function moveSelection(offset) {
+  const visibleItems = getVisibleItems()
+  if (visibleItems.length === 0) {
+    return
+  }
+  const selectedIndex = visibleItems.findIndex((listItemElement) =>
+    listItemElement.getAttribute('aria-selected') === 'true'
+  )
+  const nextIndex = (selectedIndex + offset + visibleItems.length) % visibleItems.length
+  selectItem(visibleItems[nextIndex])
+}
+
+/**
+ * Runs the converter of the specified item in the active tab, and closes the popup.
+ *
+ * @param {HTMLLIElement} listItemElement
+ * @returns {Promise<void>}
+ */
+async function runConverter(listItemElement) {
+  const [tab] = await chrome.tabs.query({
+    active: true,
+    currentWindow: true
+  })
+  await chrome.storage.local.set({
+    lastConverterName: listItemElement.textContent
+  })
+  sendMessage({
+    type: 'runConverter',
+    converterIndex: parseInt(listItemElement.dataset.index, 10),
+    tabId: tab.id
+  })
+  window.close()
+}
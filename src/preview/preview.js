@@ -0,0 +1,260 @@
+// This module contains the “Preview” window actions to review and edit
+// the converted text before copying it.
+
+import { writeTextToClipboard, writeRichTextToClipboard } from '../output.js'
+
+const port = chrome.runtime.connect({
+  name: 'preview'
+})
+
+const previewId = new URLSearchParams(location.search).get('id')
+
+const buttonElements = document.querySelectorAll('button')
+const converterSelectElement = document.getElementById('converter_select')
+const sourceInputElement = document.getElementById('source_input')
+const outputInputElement = document.getElementById('output_input')
+const statusElement = document.getElementById('status')
+
+/**
+ * @type {Converter[]}
+ */
+let converters = []
+
+/**
+ * @type {?PreviewSession}
+ */
+let previewSession = null
+
+let lastConversionId = 0
+
+/**
+ * Whether to close the window once the output is copied.
+ */
+let isClosingAfterCopy = false
+
+for (const buttonElement of buttonElements) {
+  const actionName = buttonElement.dataset.action
+
+  switch (actionName) {
+    case 'convert':
+      buttonElement.addEventListener('click', convert)
+      break
+
+    case 'copy':
+      buttonElement.addEventListener('click', copy)
+      break
+
+    case 'copyAndClose':
+      buttonElement.addEventListener('click', copyAndClose)
+      break
+
+    default:
+      console.error(
+        'Unknown action: "%s"',
+        actionName
+      )
+  }
+}
+
+converterSelectElement.addEventListener('change', convert)
+
+port.onMessage.addListener(onMessage)
+
+chrome.storage.sync.get('converters').then((options) => {
+  converters = options.converters ?? []
+  const optionElements = converters.map((converter, index) => {
+    const optionElement = document.createElement('option')
+    optionElement.value = index.toString()
+    optionElement.textContent = converter.name
+    return optionElement
+  })
+  converterSelectElement.replaceChildren(...optionElements)
+  sendMessage({
+    type: 'getPreviewSession',
+    previewId
+  })
+})
+
+/**
+ * Handles message by using a discriminator field. Each message has a `type` field,
+ * and the rest of the fields, and their meaning, depend on its value.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @returns {void}
+ */
+function onMessage(message) {
+  switch (message.type) {
+    case 'keepAlive':
+      break
+
+    case 'previewSession':
+      previewSession = message.previewSession
+      onPreviewSession(previewSession)
+      break
+
+    case 'commandResult':
+      // Ignore results of previous conversions.
+      if (message.conversionId === lastConversionId) {
+        onCommandResult(message.commandResult)
+      }
+      break
+
+    case 'output':
+      onOutput(message.destination, message.text, message.html)
+      break
+
+    case 'error':
+      isClosingAfterCopy = false
+      setStatus(message.message, true)
+      break
+
+    default:
+      console.error(
+        'Unknown message: "%s"',
+        message.type
+      )
+  }
+}
+
+/**
+ * Sends a single message to the service worker.
+ *
+ * @param {any} message
+ * @returns {void}
+ */
+function sendMessage(message) {
+  port.postMessage(message)
+}
+
+/**
+ * Handles the preview session by converting its input with the selected converter.
+ *
+ * @param {PreviewSession} previewSession
+ * @returns {void}
+ */
+function onPreviewSession(previewSession) {
+  if (previewSession.pageMetadata.title) {
+    document.title = `${previewSession.pageMetadata.title} – Pandoc preview`
+  }
+  sourceInputElement.value = previewSession.input
+  converterSelectElement.value = previewSession.converterIndex.toString()
+  convert()
+}
+
+/**
+ * Handles the result of a conversion.
+ *
+ * @param {PipelineResult} commandResult
+ * @returns {void}
+ */
+function onCommandResult(commandResult) {
+  outputInputElement.value = commandResult.output
+  if (commandResult.status === 0) {
+    setStatus('')
+  } else if (commandResult.status === null) {
+    setStatus(commandResult.error, true)
+  } else if (commandResult.failedStep) {
+    setStatus(`Step ${commandResult.failedStep.number} (${commandResult.failedStep.command}), exit code ${commandResult.status}: ${commandResult.error}`, true)
+  } else {
+    setStatus(`Exit code ${commandResult.status}: ${commandResult.error}`, true)
+  }
+}
+
+/**
+ * Converts the source HTML with the selected converter.
+ *
+ * @returns {void}
+ */
+function convert() {
+  const converterIndex = parseInt(converterSelectElement.value, 10)
+  const converter = converters[converterIndex]
+  if (converter === undefined || previewSession === null) {
+    return
+  }
+  setStatus('Converting…')
+  sendMessage({
+    type: 'convert',
+    conversionId: ++lastConversionId,
+    converter,
+    input: sourceInputElement.value,
+    pageMetadata: previewSession.pageMetadata,
+    selectionLength: previewSession.selectionLength,
+    // The parameters were entered for the converter of the copy—other converters use their default values.
+    parameterValues: converterIndex === previewSession.converterIndex
+      ? previewSession.parameterValues
+      : {}
+  })
+}
+
+/**
+ * Copies the output with the selected converter—as for a direct copy,
+ * the service worker adds the rich text of its HTML converter, and records the conversion.
+ *
+ * @returns {void}
+ */
+function copy() {
+  const converterIndex = parseInt(converterSelectElement.value, 10)
+  if (converters[converterIndex] === undefined || previewSession === null) {
+    return
+  }
+  setStatus('Copying…')
+  sendMessage({
+    type: 'copy',
+    converterIndex,
+    input: sourceInputElement.value,
+    output: outputInputElement.value
+  })
+}
+
+/**
+ * Copies the output, and closes the window once copied.
+ *
+ * @returns {void}
+ */
+function copyAndClose() {
+  isClosingAfterCopy = true
+  copy()
+}
+
+/**
+ * Handles the delivered output, by writing it to the system clipboard—
+ * unless it was saved as a download.
+ *
+ * @param {"clipboard" | "download"} destination
+ * @param {string} text
+ * @param {?string} html
+ * @returns {Promise<void>}
+ */
+async function onOutput(destination, text, html) {
+  if (destination === 'clipboard') {
+    try {
+      if (html === null) {
+        await writeTextToClipboard(text)
+      } else {
+        await writeRichTextToClipboard(text, html)
+      }
+    } catch (error) {
+      isClosingAfterCopy = false
+      setStatus(error.message, true)
+      return
+    }
+  }
+  setStatus(destination === 'clipboard' ? 'Copied!' : 'Saved!')
+  if (isClosingAfterCopy) {
+    window.close()
+  }
+}
+
+/**
+ * Displays the specified status message.
+ *
+ * @param {string} message
+ * @param {boolean} [isFailure=false]
+ * @returns {void}
+ */
+function setStatus(message, isFailure = false) {
+  statusElement.textContent = message
+  statusElement.classList.toggle('failure', isFailure)
+}
@@ -0,0 +1,261 @@
+// This module contains the service worker for the “Preview” window,
+// to review and edit the converted text before copying it.
+//
+// Service workers: https://developer.chrome.com/docs/extensions/develop/concepts/service-workers
+// Long-lived connections: https://developer.chrome.com/docs/extensions/develop/concepts/messaging#connect
+// Session storage: https://developer.chrome.com/docs/extensions/reference/api/storage#property-session
+
+import { captureClickedElement, captureImages, capturePageMetadata, convertToHTML, convertWithoutFallback, getSelectionLength, getSiteConverter } from '../pandoc.js'
+import { writeOutput } from '../output.js'
+import { recordConversion } from '../history.js'
+
+/**
+ * @typedef {object} PreviewSession
+ * @property {string} input - The HTML serialization of the clicked element.
+ * @property {number} converterIndex - The index of the selected converter.
+ * @property {PageMetadata} pageMetadata - The metadata of the page.
+ * @property {number} selectionLength - The number of characters of the selected text—`0` when nothing is selected.
+ * @property {Object<string, string | number | boolean>} parameterValues - The parameters entered for the selected converter.
+ * @property {number} tabId - The ID of the tab of the page.
+ * @property {ImageFile[]} images - The images to save next to the downloaded file.
+ */
+
+const KEEP_ALIVE_INTERVAL = 29000
+
+const PREVIEW_WINDOW_WIDTH = 960
+const PREVIEW_WINDOW_HEIGHT = 640
+
+/**
+ * Captures the clicked element in the specified tab—with its images, as for a direct copy—
+ * and opens the “Preview” window to convert it with the given converter.
+ *
+ * @param {number} converterIndex
+ * @param {chrome.tabs.Tab} tab
+ * @param {chrome.scripting.InjectionTarget} injectionTarget
+ * @param {chrome.contextMenus.OnClickData} clickedData
+ * @param {Object<string, string | number | boolean>} [parameterValues={}]
+ * @returns {Promise<void>}
+ */
+async function openPreview(converterIndex, tab, injectionTarget, clickedData, parameterValues = {}) {
+  const { converters } = await chrome.storage.sync.get('converters')
+  const converter = converters[converterIndex]
+  const [capturedInput, pageMetadata] = await Promise.all([
+    captureClickedElement(converter, injectionTarget, clickedData),
+    capturePageMetadata(tab.id),
+  ])
+  const { html: input, images } = await captureImages(converter, capturedInput, pageMetadata, tab.id)
+  const previewId = crypto.randomUUID()
+
+  /**
+   * @type {PreviewSession}
+   */
+  const previewSession = {
+    input,
+    converterIndex,
+    pageMetadata,
+    selectionLength: getSelectionLength(clickedData, capturedInput),
+    parameterValues,
+    tabId: tab.id,
+    images
+  }
+
+  await chrome.storage.session.set({
+    [`preview:${previewId}`]: previewSession
+  })
+  await chrome.windows.create({
+    type: 'popup',
+    url: `src/preview/preview.html?id=${previewId}`,
+    width: PREVIEW_WINDOW_WIDTH,
+    height: PREVIEW_WINDOW_HEIGHT
+  })
+}
+
+/**
+ * Handles a new connection when opening the “Preview” window.
+ *
+ * @param {chrome.runtime.Port} port
+ * @returns {void}
+ */
+function onConnect(port) {
+  const keepAliveIntervalId = setInterval(() => {
+    port.postMessage({
+      type: 'keepAlive'
+    })
+  }, KEEP_ALIVE_INTERVAL)
+  port.onDisconnect.addListener((port) => {
+    onDisconnect(port, keepAliveIntervalId)
+  })
+  port.onMessage.addListener(onMessage)
+}
+
+/**
+ * Handles disconnection by clearing the keep-alive interval,
+ * and discarding the preview session when closing the “Preview” window.
+ *
+ * @param {chrome.runtime.Port} port
+ * @param {number} keepAliveIntervalId
+ * @returns {void}
+ */
+function onDisconnect(port, keepAliveIntervalId) {
+  clearInterval(keepAliveIntervalId)
+  const previewId = new URL(port.sender.url).searchParams.get('id')
+  chrome.storage.session.remove(`preview:${previewId}`)
+}
+
+/**
+ * Handles message by using a discriminator field. Each message has a `type` field,
+ * and the rest of the fields, and their meaning, depend on its value.
+ *
+ * https://crystal-lang.org/api/master/JSON/Serializable.html#discriminator-field
+ *
+ * @param {object} message
+ * @param {chrome.runtime.Port} port
+ * @returns {void}
+ */
+function onMessage(message, port) {
+  switch (message.type) {
+    case 'getPreviewSession':
+      getPreviewSession(message.previewId, port)
+      break
+
+    case 'convert':
+      convertInput(message.conversionId, message.converter, message.input, message.pageMetadata, message.selectionLength, message.parameterValues, port)
+      break
+
+    case 'copy':
+      copyOutput(message.converterIndex, message.input, message.output, port)
+      break
+
+    default:
+      port.postMessage({
+        type: 'error',
+        message: 'Unknown request'
+      })
+  }
+}
+
+/**
+ * Replies with the specified preview session.
+ *
+ * @param {string} previewId
+ * @param {chrome.runtime.Port} port
+ * @returns {Promise<void>}
+ */
+async function getPreviewSession(previewId, port) {
+  const key = `preview:${previewId}`
+  const { [key]: previewSession } = await chrome.storage.session.get(key)
+  if (previewSession === undefined) {
+    port.postMessage({
+      type: 'error',
+      message: 'This preview has expired.'
+    })
+    return
+  }
+  port.postMessage({
+    type: 'previewSession',
+    previewSession
+  })
+}
+
+/**
+ * Converts the specified input with the given converter—with the settings of the site rules
+ * matching the page, and the given parameter values—and replies with the command result.
+ * Parameters without a value expand to their default value.
+ *
+ * @param {number} conversionId
+ * @param {Converter} converter
+ * @param {string} input
+ * @param {PageMetadata} pageMetadata
+ * @param {number} selectionLength
+ * @param {Object<string, string | number | boolean>} parameterValues
+ * @param {chrome.runtime.Port} port
+ * @returns {Promise<void>}
+ */
+async function convertInput(conversionId, converter, input, pageMetadata, selectionLength, parameterValues, port) {
+  try {
+    const siteConverter = await getSiteConverter(converter, pageMetadata.url)
+    const commandResult = await convertWithoutFallback(siteConverter, input, pageMetadata, [], selectionLength, parameterValues)
+    port.postMessage({
+      type: 'commandResult',
+      conversionId,
+      commandResult
+    })
+  } catch (error) {
+    port.postMessage({
+      type: 'commandResult',
+      conversionId,
+      commandResult: {
+        status: null,
+        output: '',
+        error: error.message
+      }
+    })
+  }
+}
+
+/**
+ * Delivers the edited output of the preview session of the specified port, as for a direct copy—
+ * with the rich text of the HTML converter, the images, and a history entry—
+ * and replies with the output to write to the clipboard.
+ *
+ * Downloads are saved by the service worker. The clipboard is written by the “Preview” window,
+ * which has the focus. Converters writing the file themselves are copied to the clipboard,
+ * since the edited output was not written.
+ *
+ * @param {number} converterIndex
+ * @param {string} input
+ * @param {string} output
+ * @param {chrome.runtime.Port} port
+ * @returns {Promise<void>}
+ */
+async function copyOutput(converterIndex, input, output, port) {
+  try {
+    const key = `preview:${new URL(port.sender.url).searchParams.get('id')}`
+    const [{ [key]: previewSession }, { converters }] = await Promise.all([
+      chrome.storage.session.get(key),
+      chrome.storage.sync.get('converters'),
+    ])
+    if (previewSession === undefined) {
+      throw new Error('This preview has expired.')
+    }
+    const { pageMetadata, selectionLength, tabId, images } = previewSession
+    const converter = converters[converterIndex]
+    const htmlConverter = converters.find((otherConverter) =>
+      otherConverter.name === converter.htmlConverter
+    ) ?? null
+    const [converterCommand, htmlConverterCommand] = await Promise.all([
+      getSiteConverter(converter, pageMetadata.url),
+      htmlConverter && getSiteConverter(htmlConverter, pageMetadata.url),
+    ])
+
+    const html = await convertToHTML(htmlConverterCommand, converterCommand, { output }, input, pageMetadata, selectionLength)
+
+    const destination = converterCommand.destination === 'download'
+      ? 'download'
+      : 'clipboard'
+    if (destination === 'download') {
+      await writeOutput(converterCommand, { text: output, html, images }, pageMetadata, tabId)
+    }
+
+    await recordConversion({
+      converterName: converterCommand.name,
+      input,
+      output,
+      pageMetadata
+    })
+
+    port.postMessage({
+      type: 'output',
+      destination,
+      text: output,
+      html
+    })
+  } catch (error) {
+    port.postMessage({
+      type: 'error',
+      message: error.message
+    })
+  }
+}
+
+export default { openPreview, onConnect }
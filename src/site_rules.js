@@ -0,0 +1,57 @@
+// This module provides the functionality to find the site rules of webpages—
+// i.e., how to tailor captured HTML, which converter to use, and how to run it, for specific sites.
+
+import '../@types/converter.js'
+import '../@types/site_rule.js'
+
+/**
+ * Returns the site rules that apply to the specified URL.
+ *
+ * @param {SiteRule[]} siteRules
+ * @param {?string} url
+ * @returns {SiteRule[]}
+ */
+export function getMatchingSiteRules(siteRules, url) {
+  if (!url) {
+    return []
+  }
+  return siteRules.filter((siteRule) =>
+    siteRule.matches.some((pattern) => matchesURLPattern(url, pattern))
+  )
+}
+
+/**
+ * Returns the specified converter with the command settings of the given site rules—
+ * i.e., their environment variables, working directory and timeout.
+ *
+ * Environment variables are merged with the ones of the converter.
+ * The first site rule takes precedence, as for the converter of the Pandoc toolbar button.
+ *
+ * @param {Converter} converter
+ * @param {SiteRule[]} siteRules
+ * @returns {Converter}
+ */
+export function applySiteSettings(converter, siteRules) {
+  return siteRules.toReversed().reduce((converter, siteRule) => ({
+    ...converter,
+    ...(siteRule.env !== undefined && { env: { ...converter.env, ...siteRule.env } }),
+    ...(siteRule.dir !== undefined && { dir: siteRule.dir }),
+    ...(siteRule.timeout !== undefined && { timeout: siteRule.timeout }),
+  }), converter)
+}
+
+/**
+ * Determines whether the specified URL matches the given pattern,
+ * where `*` matches any characters.
+ *
+ * @param {string} url
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+export function matchesURLPattern(url, pattern) {
+  const source = pattern
+    .split('*')
+    .map((part) => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*')
+  return new RegExp(`^${source}$`).test(url)
+}